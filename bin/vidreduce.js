@@ -0,0 +1,200 @@
+#!/usr/bin/env node
+/**
+ * vidreduce: summarize videos from the command line, for scripts and cron
+ *
+ * Runs the web server's summary pipeline (see summarize in webServer.js) on
+ * each URL, with the server's API keys from the environment or .env, and
+ * writes the summaries (and optionally transcripts) into an output directory
+ * in the export formats of lib/export.js. The paths of the files written go
+ * to stdout, progress and errors to stderr.
+ *
+ * Exits 0 when every URL was summarized, 1 when any failed and 2 for
+ * invalid arguments.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { SUMMARY_FORMATS, TRANSCRIPT_FORMATS, exportSummary, exportTranscript } = require('../lib/export');
+const { mapWithConcurrency } = require('../lib/concurrency');
+
+const USAGE = `Usage: vidreduce [options] <url or video ID>...
+
+Summarize YouTube videos and playlists, Twitter/X, TikTok, Instagram and Vimeo
+posts, and video file links. API keys are read from the environment (.env).
+
+Options:
+  -i, --input <file>         Read URLs from a file, one per line (# for comments, - for stdin)
+  -o, --output <dir>         Directory to write into (default: ./summaries)
+  -p, --provider <name>      AI provider: openai, gemini, anthropic, openai-compatible
+  -m, --model <model>        Model of the provider
+  -s, --style <style>        Summary style: brief, detailed (default), technical, meeting-notes, lecture-notes
+      --prompt <text>        Custom prompt template instead of a style
+  -l, --language <language>  Language of the summary (default: English)
+  -f, --format <formats>     Summary formats, comma-separated: ${Object.keys(SUMMARY_FORMATS).join(', ')} (default: md)
+  -t, --transcript <formats> Also write transcripts: ${Object.keys(TRANSCRIPT_FORMATS).join(', ')}
+  -c, --concurrency <n>      URLs summarized at the same time (default: 1)
+      --force                Regenerate summaries instead of using the cache
+  -v, --verbose              Show the pipeline's log
+  -q, --quiet                Only report failures
+  -h, --help                 Show this help`;
+
+const OPTIONS = {
+  input: { type: 'string', short: 'i' },
+  output: { type: 'string', short: 'o', default: 'summaries' },
+  provider: { type: 'string', short: 'p' },
+  model: { type: 'string', short: 'm' },
+  style: { type: 'string', short: 's' },
+  prompt: { type: 'string' },
+  language: { type: 'string', short: 'l' },
+  format: { type: 'string', short: 'f', default: 'md' },
+  transcript: { type: 'string', short: 't' },
+  concurrency: { type: 'string', short: 'c', default: '1' },
+  force: { type: 'boolean' },
+  verbose: { type: 'boolean', short: 'v' },
+  quiet: { type: 'boolean', short: 'q' },
+  help: { type: 'boolean', short: 'h' }
+};
+
+function usageError(message) {
+  return Object.assign(new Error(message), { code: 'USAGE' });
+}
+
+/**
+ * A comma-separated list of formats, each one of `known`
+ */
+function parseFormats(value, known, option) {
+  const formats = String(value || '').split(',').map(format => format.trim().toLowerCase()).filter(Boolean);
+  const unknown = formats.find(format => !Object.hasOwn(known, format));
+  if (unknown) {
+    throw usageError(`Unknown ${option} format "${unknown}". Use ${Object.keys(known).join(', ')}.`);
+  }
+  return formats;
+}
+
+/**
+ * The URLs of an input file: one per line, blank lines and # comments skipped
+ */
+function readUrlFile(file) {
+  const text = fs.readFileSync(file === '-' ? 0 : file, 'utf8');
+  return text.split(/\r?\n/).map(line => line.replace(/(^|\s)#.*$/, '').trim()).filter(Boolean);
+}
+
+function parseOptions(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  } catch (error) {
+    throw usageError(error.message);
+  }
+  const { values, positionals } = parsed;
+  if (values.help) {
+    return { help: true };
+  }
+
+  let urls = [...positionals];
+  if (values.input) {
+    try {
+      urls = urls.concat(readUrlFile(values.input));
+    } catch (error) {
+      throw usageError(`Cannot read ${values.input}: ${error.message}`);
+    }
+  }
+  if (urls.length === 0) {
+    throw usageError('No URLs given.');
+  }
+
+  const concurrency = Number(values.concurrency);
+  if (!Number.isInteger(concurrency) || concurrency < 1) {
+    throw usageError('--concurrency must be a whole number of at least 1.');
+  }
+
+  return {
+    urls,
+    outputDir: path.resolve(values.output),
+    summaryFormats: parseFormats(values.format, SUMMARY_FORMATS, 'summary'),
+    transcriptFormats: parseFormats(values.transcript, TRANSCRIPT_FORMATS, 'transcript'),
+    concurrency,
+    verbose: !!values.verbose,
+    quiet: !!values.quiet,
+    // The /summarize fields (see resolveSummaryRequest in webServer.js)
+    body: {
+      aiProvider: values.provider,
+      model: values.model,
+      style: values.style,
+      customPrompt: values.prompt,
+      outputLanguage: values.language,
+      force: !!values.force,
+      publish: false
+    }
+  };
+}
+
+/**
+ * Write a result's exports into the output directory; resolves to their paths
+ */
+async function writeExports(result, { outputDir, summaryFormats, transcriptFormats }) {
+  const exports = [
+    ...summaryFormats.map(format => exportSummary(result, format)),
+    ...transcriptFormats.map(format => exportTranscript(result, format))
+  ];
+  const written = [];
+  for (const { filename, content } of exports) {
+    const file = path.join(outputDir, filename);
+    await fs.promises.writeFile(file, content);
+    written.push(file);
+  }
+  return written;
+}
+
+async function main(argv) {
+  let options;
+  try {
+    options = parseOptions(argv);
+  } catch (error) {
+    console.error(`vidreduce: ${error.message}\nRun "vidreduce --help" for usage.`);
+    return 2;
+  }
+  if (options.help) {
+    console.log(USAGE);
+    return 0;
+  }
+
+  const report = message => !options.quiet && process.stderr.write(`${message}\n`);
+  // The pipeline logs to the console as the web server does; keep stdout for the files written
+  console.log = options.verbose ? console.error : () => {};
+  const { summarize } = require('../webServer');
+
+  await fs.promises.mkdir(options.outputDir, { recursive: true });
+
+  let completed = 0;
+  const outcomes = await mapWithConcurrency(options.urls, options.concurrency, async (url) => {
+    try {
+      const { result, cache } = await summarize({ ...options.body, videoUrl: url }, {
+        onProgress: event => options.verbose && report(`  ${url}: ${event.stage}`)
+      });
+      const written = await writeExports(result, options);
+      written.forEach(file => process.stdout.write(`${file}\n`));
+      report(`[${++completed}/${options.urls.length}] ✓ ${result.videoTitle}${cache.summary ? ' (cached)' : ''}`);
+      return true;
+    } catch (error) {
+      process.stderr.write(`[${++completed}/${options.urls.length}] ✗ ${url}: ${error.message}\n`);
+      return false;
+    }
+  });
+
+  const failed = outcomes.filter(ok => !ok).length;
+  if (failed > 0) {
+    process.stderr.write(`${failed} of ${options.urls.length} failed.\n`);
+  }
+  return failed > 0 ? 1 : 0;
+}
+
+main(process.argv.slice(2)).then(
+  // Exit even if a client library keeps a connection open
+  code => process.exit(code),
+  (error) => {
+    console.error(`vidreduce: ${error.message}`);
+    process.exit(1);
+  }
+);
@@ -0,0 +1,218 @@
+/**
+ * Access control for the server's own API keys: request rate limits per
+ * caller, daily quotas, and issued access tokens
+ *
+ * A caller is identified as "token:<id>" when it sends a valid access token
+ * and "ip:<address>" otherwise. Limits resolve to
+ * { allowed, limit, remaining, resetAt } with resetAt an ISO date, which the
+ * server turns into RateLimit-* and Retry-After headers.
+ *
+ * Access tokens are kept in the cache (see lib/cache.js) as one document,
+ * { tokens: [{ id, name, hash, dailyQuota, createdAt, revokedAt }] }; only a
+ * token's SHA-256 hash is stored, and the token itself is shown once, when
+ * it is issued.
+ */
+
+const crypto = require('crypto');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * Start of the next UTC day, when daily quotas reset
+ */
+function nextUtcMidnight(now = Date.now()) {
+  return new Date(Math.floor(now / DAY_MS) * DAY_MS + DAY_MS);
+}
+
+/**
+ * A fixed-window rate limiter held in memory: at most `limit` requests per
+ * caller every `windowMs`. A limit of 0 lets everything through.
+ */
+function createRateLimiter({ limit, windowMs = 60 * 1000 }) {
+  const windows = new Map();
+
+  function consume(key) {
+    const now = Date.now();
+    if (!limit) {
+      return { allowed: true, limit: 0, remaining: Infinity, resetAt: new Date(now + windowMs).toISOString() };
+    }
+
+    let window = windows.get(key);
+    if (!window || window.resetAt <= now) {
+      // Forget the windows that have ended before this one starts
+      if (windows.size > 10000) {
+        for (const [otherKey, other] of windows) {
+          if (other.resetAt <= now) {
+            windows.delete(otherKey);
+          }
+        }
+      }
+      window = { count: 0, resetAt: now + windowMs };
+      windows.set(key, window);
+    }
+
+    window.count++;
+    return {
+      allowed: window.count <= limit,
+      limit,
+      remaining: Math.max(0, limit - window.count),
+      resetAt: new Date(window.resetAt).toISOString()
+    };
+  }
+
+  return { consume };
+}
+
+/**
+ * Daily usage counters kept in the cache, so they survive restarts. Days
+ * are UTC days.
+ */
+function createDailyQuota({ cache }) {
+  let updates = Promise.resolve();
+
+  const dayKey = (key, now) => `${new Date(now).toISOString().slice(0, 10)}:${key}`;
+
+  /**
+   * Count one use by `key` against a daily `limit` (0 = unlimited). Uses
+   * beyond the limit are refused and not counted.
+   */
+  function consume(key, limit) {
+    const run = updates.then(async () => {
+      const now = Date.now();
+      const resetAt = nextUtcMidnight(now).toISOString();
+      const entry = await cache.get('quotas', dayKey(key, now));
+      const used = entry ? entry.value : 0;
+      if (limit && used >= limit) {
+        return { allowed: false, limit, remaining: 0, resetAt };
+      }
+      await cache.set('quotas', dayKey(key, now), used + 1, 2 * DAY_MS / 1000);
+      return { allowed: true, limit, remaining: limit ? limit - used - 1 : Infinity, resetAt };
+    });
+    updates = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * How many uses `key` has made today
+   */
+  async function used(key) {
+    await updates;
+    const entry = await cache.get('quotas', dayKey(key, Date.now()));
+    return entry ? entry.value : 0;
+  }
+
+  return { consume, used };
+}
+
+function accessError(message, code) {
+  return Object.assign(new Error(message), { code });
+}
+
+/**
+ * Issued access tokens, stored in the cache
+ */
+function createAccessTokenStore({ cache, defaultDailyQuota = 0 }) {
+  const STATE_KEY = 'state';
+  let updates = Promise.resolve();
+
+  async function load() {
+    const entry = await cache.get('access-tokens', STATE_KEY);
+    return entry ? entry.value : { tokens: [] };
+  }
+
+  // Read-modify-write of the state, one at a time
+  function update(fn) {
+    const run = updates.then(async () => {
+      const state = await load();
+      const result = await fn(state);
+      await cache.set('access-tokens', STATE_KEY, state, 0);
+      return result;
+    });
+    updates = run.catch(() => {});
+    return run;
+  }
+
+  const describe = ({ hash, ...record }) => record;
+
+  /**
+   * Issue a token. Resolves to its record with the token itself, which is
+   * not stored and cannot be shown again.
+   */
+  function issue({ name, dailyQuota = defaultDailyQuota } = {}) {
+    const quota = Number(dailyQuota);
+    if (!Number.isInteger(quota) || quota < 0) {
+      return Promise.reject(accessError('dailyQuota must be a whole number of summaries per day (0 for no limit).', 'INVALID_QUOTA'));
+    }
+
+    return update((state) => {
+      const token = `vr_${crypto.randomBytes(24).toString('base64url')}`;
+      const record = {
+        id: crypto.randomBytes(6).toString('hex'),
+        name: String(name || '').trim().slice(0, 100) || null,
+        hash: hashToken(token),
+        dailyQuota: quota,
+        createdAt: new Date().toISOString(),
+        revokedAt: null
+      };
+      state.tokens.push(record);
+      return { ...describe(record), token };
+    });
+  }
+
+  /**
+   * The record of a valid (issued and not revoked) token, or null
+   */
+  async function verify(token) {
+    if (!token) {
+      return null;
+    }
+    await updates;
+    const hash = hashToken(token);
+    const record = (await load()).tokens.find(entry => entry.hash === hash);
+    return record && !record.revokedAt ? describe(record) : null;
+  }
+
+  /**
+   * Every issued token, revoked ones included, without their hashes
+   */
+  async function list() {
+    await updates;
+    return (await load()).tokens.map(describe);
+  }
+
+  /**
+   * Revoke a token by ID; throws (code NOT_FOUND) if there is no such token
+   */
+  function revoke(id) {
+    return update((state) => {
+      const record = state.tokens.find(entry => entry.id === id);
+      if (!record) {
+        throw accessError('Access token not found.', 'NOT_FOUND');
+      }
+      record.revokedAt = record.revokedAt || new Date().toISOString();
+      return describe(record);
+    });
+  }
+
+  return { issue, verify, list, revoke };
+}
+
+/**
+ * Compare a secret with its expected value in constant time
+ */
+function secretsMatch(given, expected) {
+  const a = Buffer.from(hashToken(given || ''), 'hex');
+  const b = Buffer.from(hashToken(expected || ''), 'hex');
+  return !!expected && crypto.timingSafeEqual(a, b);
+}
+
+module.exports = {
+  createRateLimiter,
+  createDailyQuota,
+  createAccessTokenStore,
+  secretsMatch
+};
@@ -0,0 +1,95 @@
+/**
+ * File-backed persistent cache for transcripts, summaries and results
+ *
+ * Entries live in <dir>/<namespace>/<sha1(key)>.json as
+ * { key, value, createdAt, expiresAt } and expire lazily on read.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+const DAY_SECONDS = 24 * 60 * 60;
+
+// Vercel functions can only write to /tmp
+const DEFAULT_CACHE_DIR = process.env.VERCEL
+  ? path.join(os.tmpdir(), 'vidreduce-cache')
+  : path.join(__dirname, '..', '.cache');
+
+function hashKey(key) {
+  return crypto.createHash('sha1').update(key).digest('hex');
+}
+
+/**
+ * Create a cache rooted at `dir`. `ttl` maps namespaces to default TTLs in
+ * seconds (0 or missing = never expires).
+ */
+function createFileCache({ dir = process.env.CACHE_DIR || DEFAULT_CACHE_DIR, ttl = {} } = {}) {
+  const entryPath = (namespace, key) => path.join(dir, namespace, `${hashKey(key)}.json`);
+
+  async function get(namespace, key) {
+    const file = entryPath(namespace, key);
+    let entry;
+    try {
+      entry = JSON.parse(await fs.promises.readFile(file, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`Cache read failed (${namespace}):`, error.message);
+      }
+      return null;
+    }
+
+    if (entry.key !== key) {
+      return null;
+    }
+    if (entry.expiresAt && Date.parse(entry.expiresAt) <= Date.now()) {
+      await fs.promises.rm(file, { force: true });
+      return null;
+    }
+    return entry;
+  }
+
+  async function set(namespace, key, value, ttlSeconds = ttl[namespace]) {
+    const now = Date.now();
+    const entry = {
+      key,
+      value,
+      createdAt: new Date(now).toISOString(),
+      expiresAt: ttlSeconds ? new Date(now + ttlSeconds * 1000).toISOString() : null
+    };
+
+    const file = entryPath(namespace, key);
+    try {
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      // Write to a temp file and rename so readers never see a partial entry
+      const tempFile = `${file}.${process.pid}.${now}.tmp`;
+      await fs.promises.writeFile(tempFile, JSON.stringify(entry));
+      await fs.promises.rename(tempFile, file);
+    } catch (error) {
+      // A cache that cannot be written should never fail the request
+      console.error(`Cache write failed (${namespace}):`, error.message);
+    }
+    return entry;
+  }
+
+  async function remove(namespace, key) {
+    await fs.promises.rm(entryPath(namespace, key), { force: true });
+  }
+
+  return { dir, get, set, delete: remove };
+}
+
+/**
+ * Read a TTL in seconds from an environment variable given in days
+ */
+function ttlFromEnv(name, defaultDays) {
+  const days = process.env[name] !== undefined ? Number(process.env[name]) : defaultDays;
+  return Number.isFinite(days) && days > 0 ? Math.round(days * DAY_SECONDS) : 0;
+}
+
+module.exports = {
+  hashKey,
+  createFileCache,
+  ttlFromEnv
+};
@@ -0,0 +1,71 @@
+/**
+ * Transcript chunking for map-reduce summarization of long videos
+ */
+
+// ~6k tokens per chunk keeps each map call well inside every model's context
+const DEFAULT_CHUNK_SIZE = 24000;
+const DEFAULT_CHUNK_OVERLAP = 1500;
+
+/**
+ * Find a natural break point at or before `index` (line break, sentence end,
+ * then whitespace), never going below `minIndex`
+ */
+function findBreakPoint(text, index, minIndex) {
+  const lineBreak = text.lastIndexOf('\n', index);
+  if (lineBreak > minIndex) {
+    return lineBreak + 1;
+  }
+  for (let i = index; i > minIndex; i--) {
+    if (/[.!?]/.test(text[i - 1]) && /\s/.test(text[i] || ' ')) {
+      return i;
+    }
+  }
+  for (let i = index; i > minIndex; i--) {
+    if (/\s/.test(text[i])) {
+      return i;
+    }
+  }
+  return index;
+}
+
+/**
+ * Split a transcript into overlapping chunks so no context is lost at the seams
+ */
+function splitTranscript(text, options = {}) {
+  const chunkSize = options.chunkSize || DEFAULT_CHUNK_SIZE;
+  const overlap = Math.min(options.overlap ?? DEFAULT_CHUNK_OVERLAP, Math.floor(chunkSize / 2));
+
+  if (text.length <= chunkSize) {
+    return [text];
+  }
+
+  const chunks = [];
+  let start = 0;
+
+  while (start < text.length) {
+    let end = Math.min(start + chunkSize, text.length);
+    if (end < text.length) {
+      end = findBreakPoint(text, end, start + Math.floor(chunkSize / 2));
+    }
+
+    chunks.push(text.slice(start, end).trim());
+    if (end >= text.length) {
+      break;
+    }
+
+    // Step back by the overlap, then forward to the start of a word
+    let next = end - overlap;
+    while (next < end && !/\s/.test(text[next - 1])) {
+      next++;
+    }
+    start = next > start ? next : end;
+  }
+
+  return chunks.filter(Boolean);
+}
+
+module.exports = {
+  DEFAULT_CHUNK_SIZE,
+  DEFAULT_CHUNK_OVERLAP,
+  splitTranscript
+};
@@ -0,0 +1,28 @@
+/**
+ * Bounded concurrency for fanning out work (playlist videos, batches)
+ */
+
+/**
+ * Run fn(item, index) over items with at most `limit` calls in flight.
+ * Results keep the order of the input. Errors are not caught, so callers
+ * that want per-item isolation should handle them inside fn.
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+
+  async function worker() {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await fn(items[index], index);
+    }
+  }
+
+  const workers = Math.max(1, Math.min(limit, items.length));
+  await Promise.all(Array.from({ length: workers }, worker));
+  return results;
+}
+
+module.exports = {
+  mapWithConcurrency
+};
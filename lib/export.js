@@ -0,0 +1,282 @@
+/**
+ * Export summaries (HTML, Markdown, JSON, plain text) and transcripts
+ * (TXT, SRT, WebVTT) for the download routes
+ *
+ * Exports are built from a result record:
+ * { id, source, url, videoTitle, summary, htmlContent, transcript, segments, generatedAt, ... }
+ * where `summary` is a structured summary (see lib/summary.js) and `segments`
+ * are timed transcript segments (see lib/transcript.js). Playlist results
+ * also list their `videos` (see lib/playlist.js).
+ */
+
+const { formatTimestamp } = require('./transcript');
+const { getSource } = require('./sources');
+
+const SUMMARY_FORMATS = {
+  html: { extension: 'html', contentType: 'text/html; charset=utf-8' },
+  md: { extension: 'md', contentType: 'text/markdown; charset=utf-8' },
+  json: { extension: 'json', contentType: 'application/json; charset=utf-8' },
+  txt: { extension: 'txt', contentType: 'text/plain; charset=utf-8' }
+};
+
+const TRANSCRIPT_FORMATS = {
+  txt: { extension: 'txt', contentType: 'text/plain; charset=utf-8' },
+  srt: { extension: 'srt', contentType: 'application/x-subrip; charset=utf-8' },
+  vtt: { extension: 'vtt', contentType: 'text/vtt; charset=utf-8' }
+};
+
+// Cues without a usable end time are shown for this long (or until the next cue)
+const DEFAULT_CUE_SECONDS = 4;
+
+function stripEmphasis(text) {
+  return text.replace(/\*\*(.+?)\*\*/g, '$1');
+}
+
+function takeawayUrl(videoId, takeaway) {
+  return videoId && takeaway.timestamp
+    ? `https://www.youtube.com/watch?v=${videoId}&t=${Math.floor(takeaway.start)}s`
+    : null;
+}
+
+function sourceLinkLabel(result) {
+  return result.source === 'playlist' ? 'View playlist on YouTube' : getSource(result.source).linkLabel;
+}
+
+function playlistVideosToMarkdown(videos) {
+  const lines = ['## Videos', ''];
+  videos.forEach((video, index) => {
+    lines.push(`### ${index + 1}. [${video.title}](${video.url})`, '');
+    if (video.status !== 'succeeded') {
+      lines.push(`_Could not be summarized: ${video.error}_`, '');
+      return;
+    }
+    if (video.summary.tldr) {
+      lines.push(video.summary.tldr, '');
+    }
+    for (const takeaway of video.summary.takeaways) {
+      const url = takeawayUrl(video.id, takeaway);
+      lines.push(`- ${takeaway.text}${url ? ` ([${takeaway.timestamp}](${url}))` : ''}`);
+    }
+    lines.push('');
+  });
+  return lines;
+}
+
+function playlistVideosToText(videos) {
+  const lines = ['VIDEOS', ''];
+  videos.forEach((video, index) => {
+    lines.push(`${index + 1}. ${video.title}`, video.url);
+    if (video.status !== 'succeeded') {
+      lines.push(`Could not be summarized: ${video.error}`, '');
+      return;
+    }
+    if (video.summary.tldr) {
+      lines.push(stripEmphasis(video.summary.tldr));
+    }
+    for (const takeaway of video.summary.takeaways) {
+      lines.push(`- ${stripEmphasis(takeaway.text)}${takeaway.timestamp ? ` [${takeaway.timestamp}]` : ''}`);
+    }
+    lines.push('');
+  });
+  return lines;
+}
+
+function summaryToMarkdown(result) {
+  const { summary } = result;
+  const lines = [`# ${result.videoTitle}`, '', `[${sourceLinkLabel(result)}](${result.url})`, ''];
+
+  if (summary.tldr) {
+    lines.push('## TL;DR', '', summary.tldr, '');
+  }
+  if (summary.takeaways.length > 0) {
+    lines.push('## Key Takeaways', '');
+    for (const takeaway of summary.takeaways) {
+      const url = takeawayUrl(result.source === 'youtube' ? result.videoId || result.id : null, takeaway);
+      lines.push(`- ${takeaway.text}${url ? ` ([${takeaway.timestamp}](${url}))` : ''}`);
+    }
+    lines.push('');
+  }
+  for (const section of summary.sections) {
+    lines.push(`## ${section.heading}`, '', ...section.items.map(item => `- ${item}`), '');
+  }
+  if (summary.conclusion) {
+    lines.push('## Conclusion', '', summary.conclusion, '');
+  }
+  if (summary.topics.length > 0) {
+    lines.push(`**Topics:** ${summary.topics.join(', ')}`, '');
+  }
+  if (result.videos) {
+    lines.push(...playlistVideosToMarkdown(result.videos));
+  }
+
+  return lines.join('\n');
+}
+
+function summaryToText(result) {
+  const { summary } = result;
+  const lines = [result.videoTitle, result.url, ''];
+
+  if (summary.tldr) {
+    lines.push('TL;DR', stripEmphasis(summary.tldr), '');
+  }
+  if (summary.takeaways.length > 0) {
+    lines.push('KEY TAKEAWAYS');
+    for (const takeaway of summary.takeaways) {
+      lines.push(`- ${stripEmphasis(takeaway.text)}${takeaway.timestamp ? ` [${takeaway.timestamp}]` : ''}`);
+    }
+    lines.push('');
+  }
+  for (const section of summary.sections) {
+    lines.push(section.heading.toUpperCase(), ...section.items.map(item => `- ${stripEmphasis(item)}`), '');
+  }
+  if (summary.conclusion) {
+    lines.push('CONCLUSION', stripEmphasis(summary.conclusion), '');
+  }
+  if (summary.topics.length > 0) {
+    lines.push(`Topics: ${summary.topics.join(', ')}`, '');
+  }
+  if (result.videos) {
+    lines.push(...playlistVideosToText(result.videos));
+  }
+
+  return lines.join('\n');
+}
+
+function summaryToJSON(result) {
+  return JSON.stringify({
+    id: result.id,
+    source: result.source,
+    url: result.url,
+    videoTitle: result.videoTitle,
+    metadata: result.metadata,
+    range: result.range,
+    style: result.style,
+    outputLanguage: result.outputLanguage,
+    generatedAt: result.generatedAt,
+    summary: result.summary,
+    videos: result.videos
+  }, null, 2);
+}
+
+/**
+ * Format seconds as an SRT (00:00:01,200) or WebVTT (00:00:01.200) cue time
+ */
+function formatCueTime(seconds, separator) {
+  const ms = Math.max(0, Math.round(seconds * 1000));
+  const h = String(Math.floor(ms / 3600000)).padStart(2, '0');
+  const m = String(Math.floor((ms % 3600000) / 60000)).padStart(2, '0');
+  const s = String(Math.floor((ms % 60000) / 1000)).padStart(2, '0');
+  return `${h}:${m}:${s}${separator}${String(ms % 1000).padStart(3, '0')}`;
+}
+
+/**
+ * Give every segment a positive duration that does not overlap the next cue
+ */
+function toCues(segments) {
+  return segments.map((seg, index) => {
+    const next = segments[index + 1];
+    let end = seg.end > seg.start ? seg.end : seg.start + DEFAULT_CUE_SECONDS;
+    if (next && next.start > seg.start && end > next.start) {
+      end = next.start;
+    }
+    // A blank line ends a cue, so collapse them inside the cue text
+    return { start: seg.start, end, text: seg.text.replace(/\n\s*\n/g, '\n').trim() };
+  });
+}
+
+function transcriptToSRT(segments) {
+  return toCues(segments)
+    .map((cue, index) => `${index + 1}\n${formatCueTime(cue.start, ',')} --> ${formatCueTime(cue.end, ',')}\n${cue.text}\n`)
+    .join('\n');
+}
+
+function transcriptToVTT(segments) {
+  const cues = toCues(segments)
+    .map(cue => `${formatCueTime(cue.start, '.')} --> ${formatCueTime(cue.end, '.')}\n${cue.text}\n`)
+    .join('\n');
+  return `WEBVTT\n\n${cues}`;
+}
+
+function transcriptToText(result) {
+  if (result.segments && result.segments.length > 0) {
+    return result.segments.map(seg => `[${formatTimestamp(seg.start)}] ${seg.text}`).join('\n') + '\n';
+  }
+  return `${result.transcript}\n`;
+}
+
+/**
+ * Export a result's summary. Returns { content, contentType, filename }.
+ */
+function exportSummary(result, format = 'html') {
+  // Formats come from query strings, so "constructor" and the like must not match
+  const spec = Object.hasOwn(SUMMARY_FORMATS, format) ? SUMMARY_FORMATS[format] : null;
+  if (!spec) {
+    throw Object.assign(
+      new Error(`Unsupported summary format "${format}". Use one of: ${Object.keys(SUMMARY_FORMATS).join(', ')}`),
+      { code: 'UNSUPPORTED_FORMAT' }
+    );
+  }
+
+  let content;
+  if (format === 'html') {
+    content = result.htmlContent;
+  } else if (format === 'md') {
+    content = summaryToMarkdown(result);
+  } else if (format === 'json') {
+    content = summaryToJSON(result);
+  } else {
+    content = summaryToText(result);
+  }
+
+  return { content, contentType: spec.contentType, filename: `summary_${result.id}.${spec.extension}` };
+}
+
+/**
+ * Export a result's transcript. Returns { content, contentType, filename }.
+ * Results without timed segments (Twitter/X, TikTok, ...) export as a single cue.
+ */
+function exportTranscript(result, format = 'txt') {
+  // Formats come from query strings, so "constructor" and the like must not match
+  const spec = Object.hasOwn(TRANSCRIPT_FORMATS, format) ? TRANSCRIPT_FORMATS[format] : null;
+  if (!spec) {
+    throw Object.assign(
+      new Error(`Unsupported transcript format "${format}". Use one of: ${Object.keys(TRANSCRIPT_FORMATS).join(', ')}`),
+      { code: 'UNSUPPORTED_FORMAT' }
+    );
+  }
+
+  const segments = result.segments && result.segments.length > 0
+    ? result.segments
+    : [{ start: 0, end: result.duration || 0, text: result.transcript }];
+
+  let content;
+  if (format === 'srt') {
+    content = transcriptToSRT(segments);
+  } else if (format === 'vtt') {
+    content = transcriptToVTT(segments);
+  } else {
+    content = transcriptToText(result);
+  }
+
+  return { content, contentType: spec.contentType, filename: `transcript_${result.id}.${spec.extension}` };
+}
+
+/**
+ * Download links for every export of a result
+ */
+function downloadLinks(id) {
+  const encoded = encodeURIComponent(id);
+  return {
+    summary: Object.fromEntries(Object.keys(SUMMARY_FORMATS).map(format => [format, `/download/summary/${encoded}?format=${format}`])),
+    transcript: Object.fromEntries(Object.keys(TRANSCRIPT_FORMATS).map(format => [format, `/download/transcript/${encoded}?format=${format}`]))
+  };
+}
+
+module.exports = {
+  SUMMARY_FORMATS,
+  TRANSCRIPT_FORMATS,
+  exportSummary,
+  exportTranscript,
+  downloadLinks,
+  stripEmphasis
+};
@@ -0,0 +1,173 @@
+/**
+ * Feeds for channel subscriptions: parsing YouTube channel upload feeds and
+ * publishing summaries as Atom, RSS and an HTML digest; and the sitemap of
+ * summary permalinks (see lib/permalinks.js)
+ *
+ * Published entries are
+ * { videoId, channelId, channelTitle, title, url, published, summarizedAt, summary }
+ * where `summary` is a structured summary (see lib/summary.js).
+ */
+
+const { decodeEntities } = require('./transcript');
+const { escapeHtml, formatText, renderTakeaway, renderSummaryHTML } = require('./summary');
+const { sanitizeHtml } = require('./sanitize');
+
+/**
+ * Read the text of the first <tag> in an XML fragment
+ */
+function readTag(xml, tag) {
+  const match = xml.match(new RegExp(`<${tag}\\b[^>]*>([\\s\\S]*?)</${tag}>`));
+  return match ? decodeEntities(match[1].replace(/^<!\[CDATA\[|\]\]>$/g, '')).trim() : '';
+}
+
+/**
+ * Parse a YouTube channel uploads feed (Atom, as served at
+ * /feeds/videos.xml?channel_id=...). Returns { title, videos } with videos
+ * { id, title, published } newest first.
+ */
+function parseUploadsFeed(xml) {
+  if (!/<feed\b/.test(xml)) {
+    throw new Error('Not an Atom feed');
+  }
+
+  const firstEntry = xml.indexOf('<entry');
+  const header = firstEntry === -1 ? xml : xml.slice(0, firstEntry);
+  const videos = [];
+
+  const entryPattern = /<entry\b[^>]*>([\s\S]*?)<\/entry>/g;
+  let match;
+  while ((match = entryPattern.exec(xml)) !== null) {
+    const id = readTag(match[1], 'yt:videoId');
+    if (id) {
+      videos.push({ id, title: readTag(match[1], 'title') || id, published: readTag(match[1], 'published') || null });
+    }
+  }
+
+  videos.sort((a, b) => Date.parse(b.published || 0) - Date.parse(a.published || 0));
+  return { title: readTag(header, 'title'), videos };
+}
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function entryHtml(entry) {
+  return renderSummaryHTML(entry.summary, { videoId: entry.videoId });
+}
+
+/**
+ * Render entries as an Atom 1.0 feed
+ */
+function renderAtomFeed(entries, { title, siteUrl, feedUrl }) {
+  const updated = entries[0]?.summarizedAt || new Date().toISOString();
+  const items = entries.map(entry => `  <entry>
+    <title>${escapeXml(entry.title)}</title>
+    <id>${escapeXml(entry.url)}</id>
+    <link rel="alternate" href="${escapeXml(entry.url)}"/>
+    <author><name>${escapeXml(entry.channelTitle)}</name></author>
+    <published>${escapeXml(entry.published || entry.summarizedAt)}</published>
+    <updated>${escapeXml(entry.summarizedAt)}</updated>
+    <summary>${escapeXml(entry.summary.tldr)}</summary>
+    <content type="html">${escapeXml(entryHtml(entry))}</content>
+  </entry>`);
+
+  return `<?xml version="1.0" encoding="utf-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <title>${escapeXml(title)}</title>
+  <id>${escapeXml(siteUrl)}</id>
+  <link rel="self" href="${escapeXml(feedUrl)}"/>
+  <link rel="alternate" href="${escapeXml(siteUrl)}"/>
+  <updated>${escapeXml(updated)}</updated>
+${items.join('\n')}
+</feed>
+`;
+}
+
+/**
+ * Render entries as an RSS 2.0 feed
+ */
+function renderRssFeed(entries, { title, siteUrl, description }) {
+  const rfc822 = date => new Date(date).toUTCString();
+  const items = entries.map(entry => `    <item>
+      <title>${escapeXml(entry.title)}</title>
+      <link>${escapeXml(entry.url)}</link>
+      <guid isPermaLink="true">${escapeXml(entry.url)}</guid>
+      <dc:creator>${escapeXml(entry.channelTitle)}</dc:creator>
+      <pubDate>${rfc822(entry.published || entry.summarizedAt)}</pubDate>
+      <description>${escapeXml(entryHtml(entry))}</description>
+    </item>`);
+
+  return `<?xml version="1.0" encoding="utf-8"?>
+<rss version="2.0" xmlns:dc="http://purl.org/dc/elements/1.1/">
+  <channel>
+    <title>${escapeXml(title)}</title>
+    <link>${escapeXml(siteUrl)}</link>
+    <description>${escapeXml(description)}</description>
+    <lastBuildDate>${rfc822(entries[0]?.summarizedAt || Date.now())}</lastBuildDate>
+${items.join('\n')}
+  </channel>
+</rss>
+`;
+}
+
+/**
+ * Render the digest of recent summaries as a sanitized HTML fragment, newest first
+ */
+function renderDigestHTML(entries) {
+  if (entries.length === 0) {
+    return '<p>No summaries yet. New uploads from subscribed channels appear here once they have been summarized.</p>';
+  }
+
+  return sanitizeHtml(entries.map(entry => {
+    const published = entry.published ? ` • ${new Date(entry.published).toLocaleDateString('en-US', { dateStyle: 'medium' })}` : '';
+    const parts = [
+      `<h4><a href="${escapeHtml(entry.url)}" target="_blank">${escapeHtml(entry.title)}</a></h4>`,
+      `<p class="digest-meta">${escapeHtml(entry.channelTitle)}${published}</p>`
+    ];
+    if (entry.summary.tldr) {
+      parts.push(`<p>${formatText(entry.summary.tldr)}</p>`);
+    }
+    if (entry.summary.takeaways.length > 0) {
+      parts.push(`<ul>\n${entry.summary.takeaways.map(takeaway => renderTakeaway(takeaway, entry.videoId)).join('\n')}\n</ul>`);
+    }
+    return `<div class="digest-entry">\n${parts.join('\n')}\n</div>`;
+  }).join('\n'));
+}
+
+/**
+ * Render a sitemap of the site's home page and every published permalink
+ */
+function renderSitemap(pages, { siteUrl }) {
+  const base = siteUrl.replace(/\/+$/, '');
+  const urls = [
+    `  <url>
+    <loc>${escapeXml(`${base}/`)}</loc>
+    <changefreq>weekly</changefreq>
+    <priority>1.0</priority>
+  </url>`,
+    ...pages.map(page => `  <url>
+    <loc>${escapeXml(`${base}/s/${page.slug}`)}</loc>
+    <lastmod>${escapeXml(page.publishedAt)}</lastmod>
+    <changefreq>never</changefreq>
+    <priority>0.5</priority>
+  </url>`)
+  ];
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${urls.join('\n')}
+</urlset>
+`;
+}
+
+module.exports = {
+  parseUploadsFeed,
+  renderAtomFeed,
+  renderRssFeed,
+  renderDigestHTML,
+  renderSitemap
+};
@@ -0,0 +1,417 @@
+/**
+ * Background jobs for long-running summaries
+ *
+ * A job record is
+ * { id, type, status, meta, progress, result, error, createdAt, updatedAt, startedAt, finishedAt }
+ * where status is queued, running, succeeded, failed or cancelled. Records
+ * are kept in a pluggable job store. The runner executes jobs with the
+ * handler defined for their type, either in this process or, with a
+ * dispatch function, in another invocation of the server (a serverless
+ * function of its own) that calls execute().
+ */
+
+const crypto = require('crypto');
+const { createFileCache } = require('./cache');
+
+const ACTIVE_STATUSES = ['queued', 'running'];
+
+// Finished jobs are kept this long by default
+const DEFAULT_JOB_TTL_SECONDS = 24 * 60 * 60;
+
+// Marks the jobs this process runs. Process IDs cannot: in a container the
+// server is PID 1 after every restart.
+const INSTANCE_ID = crypto.randomUUID();
+
+// Runners touch their active jobs this often by default
+const HEARTBEAT_MS = 30 * 1000;
+
+const stores = new Map();
+
+/**
+ * Register a job store factory. A store implements async get(id),
+ * set(job) and delete(id); factories receive { ttl } in seconds.
+ */
+function registerJobStore(name, factory) {
+  stores.set(name, factory);
+}
+
+/**
+ * In-memory store: fast, but jobs are lost when the process exits
+ */
+function createMemoryJobStore({ ttl = DEFAULT_JOB_TTL_SECONDS } = {}) {
+  const jobs = new Map();
+
+  function prune() {
+    if (!ttl) {
+      return;
+    }
+    const cutoff = Date.now() - ttl * 1000;
+    for (const [id, job] of jobs) {
+      if (job.finishedAt && Date.parse(job.finishedAt) < cutoff) {
+        jobs.delete(id);
+      }
+    }
+  }
+
+  return {
+    async get(id) {
+      prune();
+      return jobs.get(id) || null;
+    },
+    async set(job) {
+      jobs.set(job.id, job);
+      return job;
+    },
+    async delete(id) {
+      jobs.delete(id);
+    }
+  };
+}
+
+/**
+ * Durable local store: one JSON file per job, in the cache directory
+ * (see lib/cache.js), so jobs survive restarts
+ */
+function createFileJobStore({ ttl = DEFAULT_JOB_TTL_SECONDS, dir } = {}) {
+  const cache = createFileCache({ dir, ttl: { jobs: ttl } });
+
+  return {
+    async get(id) {
+      const entry = await cache.get('jobs', id);
+      return entry ? entry.value : null;
+    },
+    async set(job) {
+      await cache.set('jobs', job.id, job);
+      return job;
+    },
+    async delete(id) {
+      await cache.delete('jobs', id);
+    }
+  };
+}
+
+/**
+ * Shared store: a Redis database behind a REST API (Upstash, Vercel KV),
+ * reached with KV_REST_API_URL and KV_REST_API_TOKEN, so every instance of
+ * a serverless deployment sees the same jobs. Records expire ttl seconds
+ * after their last update.
+ */
+function createKvJobStore({
+  ttl = DEFAULT_JOB_TTL_SECONDS,
+  url = process.env.KV_REST_API_URL,
+  token = process.env.KV_REST_API_TOKEN,
+  prefix = 'vidreduce:job:'
+} = {}) {
+  if (!url || !token) {
+    throw new Error('The kv job store needs KV_REST_API_URL and KV_REST_API_TOKEN.');
+  }
+
+  async function command(...args) {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+      body: JSON.stringify(args)
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok || data.error) {
+      throw new Error(`Job store error: ${args[0]} failed: ${response.status} - ${data.error || response.statusText}`);
+    }
+    return data.result;
+  }
+
+  return {
+    async get(id) {
+      const value = await command('GET', prefix + id);
+      return value ? JSON.parse(value) : null;
+    },
+    async set(job) {
+      await command('SET', prefix + job.id, JSON.stringify(job), ...(ttl ? ['EX', ttl] : []));
+      return job;
+    },
+    async delete(id) {
+      await command('DEL', prefix + id);
+    }
+  };
+}
+
+registerJobStore('memory', createMemoryJobStore);
+registerJobStore('file', createFileJobStore);
+registerJobStore('kv', createKvJobStore);
+
+/**
+ * Create a registered job store by name
+ */
+function createJobStore(name = 'file', options = {}) {
+  const factory = stores.get(name);
+  if (!factory) {
+    throw new Error(`Unknown job store "${name}". Available stores: ${Array.from(stores.keys()).join(', ')}`);
+  }
+  return factory(options);
+}
+
+/**
+ * Public view of a job record (drops runner bookkeeping)
+ */
+function toPublicJob(job) {
+  const { instance, ...rest } = job;
+  return rest;
+}
+
+/**
+ * Create a job runner on top of a store. At most `concurrency` jobs run at
+ * once; the rest wait in order as queued. While a job is active its
+ * updatedAt is refreshed every heartbeatMs, so runners sharing the store
+ * can tell it from a job whose process has gone.
+ *
+ * Handlers are defined per job type with define(type, handler), where a
+ * handler is an async function (input, { signal, onProgress }) => result.
+ * It should stop when `signal` aborts; the job is then reported as
+ * cancelled.
+ *
+ * Without `dispatch`, submitted jobs run in this process. With it, submit
+ * saves the job and calls dispatch(job, input), which hands both to another
+ * process or invocation that runs the job with execute(id, input); input
+ * then travels with the dispatch and is never stored. Cancelling a job
+ * another instance runs marks it cancelled in the store, and that instance
+ * stops the job when it next writes to it (within a heartbeat).
+ */
+function createJobRunner({ store, concurrency = 2, heartbeatMs = HEARTBEAT_MS, dispatch = null }) {
+  const handlers = new Map();
+  // id -> { job, input, controller, writes, done } for jobs owned by this process
+  const active = new Map();
+  const pending = [];
+  let running = 0;
+
+  // Drop a job this process owns that was cancelled elsewhere
+  function stop(entry, cancelled) {
+    Object.assign(entry.job, { status: 'cancelled', finishedAt: cancelled.finishedAt, updatedAt: cancelled.updatedAt });
+    const queuedIndex = pending.indexOf(entry);
+    if (queuedIndex !== -1) {
+      pending.splice(queuedIndex, 1);
+      active.delete(entry.job.id);
+      entry.finish();
+    }
+    entry.controller.abort();
+  }
+
+  // Writes for one job are chained so an older state never overwrites a newer one
+  function save(entry, patch) {
+    Object.assign(entry.job, patch, { updatedAt: new Date().toISOString() });
+    const snapshot = { ...entry.job };
+    entry.writes = entry.writes.then(async () => {
+      const stored = await store.get(snapshot.id);
+      if (stored?.status === 'cancelled' && entry.job.status !== 'cancelled') {
+        stop(entry, stored);
+        return;
+      }
+      await store.set(snapshot);
+    }).catch(error => {
+      console.error(`Job store write failed (${snapshot.id}):`, error.message);
+    });
+    return entry.writes;
+  }
+
+  const staleMs = 3 * heartbeatMs;
+  const heartbeat = setInterval(() => {
+    for (const entry of active.values()) {
+      save(entry, {});
+    }
+  }, heartbeatMs);
+  heartbeat.unref();
+
+  function next() {
+    while (running < concurrency && pending.length > 0) {
+      run(pending.shift());
+    }
+  }
+
+  async function run(entry) {
+    running++;
+    const { job, input, controller } = entry;
+    save(entry, { status: 'running', startedAt: new Date().toISOString() });
+
+    try {
+      const result = await handlers.get(job.type)(input, {
+        signal: controller.signal,
+        onProgress: (progress) => {
+          if (!controller.signal.aborted) {
+            save(entry, { progress });
+          }
+        }
+      });
+      if (!controller.signal.aborted) {
+        await save(entry, { status: 'succeeded', result, finishedAt: new Date().toISOString() });
+      }
+    } catch (error) {
+      if (!controller.signal.aborted) {
+        console.error(`Job ${job.id} failed:`, error.message);
+        await save(entry, {
+          status: 'failed',
+          error: { status: error.status || 500, message: error.message },
+          finishedAt: new Date().toISOString()
+        });
+      }
+    } finally {
+      await entry.writes;
+      active.delete(job.id);
+      running--;
+      entry.finish();
+      next();
+    }
+  }
+
+  // Take a job on in this process; resolves once it has finished
+  function enqueue(job, input) {
+    const entry = { job, input, controller: new AbortController(), writes: Promise.resolve() };
+    entry.done = new Promise(resolve => {
+      entry.finish = resolve;
+    });
+    active.set(job.id, entry);
+    pending.push(entry);
+    setImmediate(next);
+    return entry;
+  }
+
+  /**
+   * Define the handler that runs jobs of a type
+   */
+  function define(type, handler) {
+    handlers.set(type, handler);
+  }
+
+  /**
+   * Queue a job and return its record straight away. Throws if dispatching
+   * it fails; the job is then saved as failed.
+   */
+  async function submit(type, input, { meta = {} } = {}) {
+    if (!handlers.has(type)) {
+      throw new Error(`Unknown job type "${type}".`);
+    }
+    const now = new Date().toISOString();
+    const job = {
+      id: crypto.randomUUID(),
+      type,
+      status: 'queued',
+      meta,
+      progress: null,
+      result: null,
+      error: null,
+      createdAt: now,
+      updatedAt: now,
+      startedAt: null,
+      finishedAt: null,
+      // A dispatched job belongs to no instance until one executes it
+      instance: dispatch ? null : INSTANCE_ID
+    };
+
+    if (!dispatch) {
+      const entry = enqueue(job, input);
+      await save(entry, {});
+      return toPublicJob(job);
+    }
+
+    await store.set(job);
+    try {
+      await dispatch(toPublicJob(job), input);
+    } catch (error) {
+      const failed = {
+        ...job,
+        status: 'failed',
+        error: { status: error.status || 500, message: error.message },
+        finishedAt: new Date().toISOString()
+      };
+      await store.set(failed);
+      throw error;
+    }
+    return toPublicJob(job);
+  }
+
+  /**
+   * Run a dispatched job in this process. Resolves to the finished job, or
+   * null if there is no such job; a job that is no longer queued (already
+   * taken on, or cancelled) is returned as it is, without running it.
+   */
+  async function execute(id, input) {
+    const job = await store.get(id);
+    if (!job || job.status !== 'queued' || job.instance) {
+      return job && toPublicJob(job);
+    }
+    const entry = enqueue({ ...job, instance: INSTANCE_ID }, input);
+    await save(entry, {});
+    await entry.done;
+    return toPublicJob(entry.job);
+  }
+
+  /**
+   * Look up a job. Jobs left queued or running by another process that has
+   * not touched them for three heartbeats (it has exited or been frozen)
+   * are reported as failed.
+   */
+  async function get(id) {
+    if (active.has(id)) {
+      return toPublicJob(active.get(id).job);
+    }
+
+    const job = await store.get(id);
+    if (!job) {
+      return null;
+    }
+    const stale = Date.now() - Date.parse(job.updatedAt) > staleMs;
+    if (ACTIVE_STATUSES.includes(job.status) && job.instance !== INSTANCE_ID && stale) {
+      const interrupted = {
+        ...job,
+        status: 'failed',
+        error: { status: 500, message: 'The job was interrupted before it finished. Please submit it again.' },
+        finishedAt: new Date().toISOString(),
+        updatedAt: new Date().toISOString()
+      };
+      await store.set(interrupted);
+      return toPublicJob(interrupted);
+    }
+    return toPublicJob(job);
+  }
+
+  /**
+   * Cancel a queued or running job. Returns the updated job, or null if
+   * the job does not exist. Throws (code JOB_FINISHED) for finished jobs.
+   */
+  async function cancel(id) {
+    const entry = active.get(id);
+    if (!entry) {
+      const job = await get(id);
+      if (!job) {
+        return null;
+      }
+      if (!ACTIVE_STATUSES.includes(job.status)) {
+        throw Object.assign(new Error(`Job has already finished (${job.status}).`), { code: 'JOB_FINISHED' });
+      }
+      // The instance running the job stops it when it next writes to it
+      const now = new Date().toISOString();
+      const stored = await store.get(id);
+      const cancelled = { ...stored, status: 'cancelled', finishedAt: now, updatedAt: now };
+      await store.set(cancelled);
+      return toPublicJob(cancelled);
+    }
+
+    const queuedIndex = pending.indexOf(entry);
+    if (queuedIndex !== -1) {
+      pending.splice(queuedIndex, 1);
+      active.delete(id);
+      entry.finish();
+    }
+    entry.controller.abort();
+    await save(entry, { status: 'cancelled', finishedAt: new Date().toISOString() });
+    return toPublicJob(entry.job);
+  }
+
+  return { define, submit, execute, get, cancel };
+}
+
+module.exports = {
+  registerJobStore,
+  createJobStore,
+  createMemoryJobStore,
+  createFileJobStore,
+  createKvJobStore,
+  createJobRunner
+};
@@ -0,0 +1,83 @@
+/**
+ * Caption language preferences and summary output languages
+ */
+
+const DEFAULT_CAPTION_LANGUAGES = ['en'];
+
+const displayNames = new Intl.DisplayNames(['en'], { type: 'language' });
+
+/**
+ * Normalize a language list from a request ("es, pt-BR" or ['es', 'pt-BR'])
+ */
+function parseLanguageList(input) {
+  if (!input) {
+    return [];
+  }
+  const list = Array.isArray(input) ? input : String(input).split(',');
+  return list.map(lang => String(lang).trim()).filter(Boolean);
+}
+
+/**
+ * Resolve a language code ("pt-BR") or name ("Portuguese") to an English
+ * language name the models understand
+ */
+function languageName(language) {
+  if (!language) {
+    return null;
+  }
+  const value = String(language).trim();
+  if (/^[a-z]{2,3}(-[a-z0-9]{2,8})*$/i.test(value)) {
+    try {
+      const name = displayNames.of(value);
+      if (name && name !== value) {
+        return name;
+      }
+    } catch (error) {
+      // Not a valid BCP 47 tag - fall through and use the value as given
+    }
+  }
+  return value;
+}
+
+/**
+ * Check whether a caption language code matches a preferred language.
+ * "pt" matches "pt-BR" and "pt-BR" matches "pt".
+ */
+function languageMatches(trackCode, preferred) {
+  const track = (trackCode || '').toLowerCase();
+  const wanted = preferred.toLowerCase();
+  return track === wanted || track.split('-')[0] === wanted.split('-')[0];
+}
+
+/**
+ * Pick the best caption track for a list of preferred languages.
+ * Languages are tried in order; within a language, manual captions win over
+ * auto-generated (kind 'asr'), even in another variant of the language, and
+ * the exact code wins among tracks of the same kind. Falls back to any manual
+ * track, then the first.
+ */
+function selectCaptionTrack(tracks, languages = DEFAULT_CAPTION_LANGUAGES) {
+  if (!tracks || tracks.length === 0) {
+    return null;
+  }
+
+  for (const preferred of languages) {
+    // Exact codes first ("es" before "es-419"), but any manual track before an auto-generated one
+    const isExact = track => (track.language_code || '').toLowerCase() === preferred.toLowerCase();
+    const candidates = tracks
+      .filter(track => languageMatches(track.language_code, preferred))
+      .sort((a, b) => (a.kind === 'asr') - (b.kind === 'asr') || isExact(b) - isExact(a));
+    if (candidates.length > 0) {
+      return candidates[0];
+    }
+  }
+
+  return tracks.find(track => track.kind !== 'asr') || tracks[0];
+}
+
+module.exports = {
+  DEFAULT_CAPTION_LANGUAGES,
+  parseLanguageList,
+  languageName,
+  selectCaptionTrack
+};
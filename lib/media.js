@@ -0,0 +1,243 @@
+/**
+ * Video and audio files for Gemini: downloads that stay in memory when they
+ * are small enough to inline and are streamed to a temporary file otherwise,
+ * and uploads of large files through the Gemini File API
+ *
+ * A downloaded file is { mimeType, size, buffer } (small) or
+ * { mimeType, size, path } (large), with cleanup() to remove its temporary file.
+ * An uploaded file is the File API's { name, uri, mimeType, state, ... }.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { once } = require('events');
+const { finished } = require('stream/promises');
+const { setTimeout: sleep } = require('timers/promises');
+const axios = require('axios');
+const { parseRetryAfter } = require('./retry');
+const { assertPublicUrl, PUBLIC_ONLY } = require('./network');
+
+const GEMINI_API_URL = 'https://generativelanguage.googleapis.com';
+
+// Uploaded videos are processed by Gemini before they can be used
+const FILE_POLL_INTERVAL_MS = 2000;
+const FILE_PROCESSING_TIMEOUT_MS = 10 * 60 * 1000;
+
+function videoTooLarge(maxBytes) {
+  return Object.assign(
+    new Error(`Video is too large to process. Maximum size is ${Math.round(maxBytes / (1024 * 1024))}MB.`),
+    { code: 'VIDEO_TOO_LARGE' }
+  );
+}
+
+/**
+ * The video's MIME type from the Content-Type header, else its URL
+ */
+function videoMimeType(url, contentType) {
+  if (contentType && contentType.startsWith('video/')) {
+    return contentType.split(';')[0].trim();
+  }
+  if (contentType && contentType.startsWith('audio/')) {
+    return contentType.split(';')[0].trim();
+  }
+  if (url.includes('.webm')) {
+    return 'video/webm';
+  }
+  if (url.includes('.mov')) {
+    return 'video/mov';
+  }
+  return 'video/mp4';
+}
+
+/**
+ * Download a video. Up to inlineMaxBytes it is kept in memory; beyond that
+ * it is streamed to a temporary file. Throws (code VIDEO_TOO_LARGE) once
+ * more than maxBytes arrive, and (code BLOCKED_ADDRESS) if the URL or a
+ * redirect leads to a private address (see lib/network.js).
+ */
+async function downloadVideo(url, { inlineMaxBytes, maxBytes, headers, signal } = {}) {
+  assertPublicUrl(url);
+  const response = await axios.get(url, {
+    ...PUBLIC_ONLY,
+    responseType: 'stream',
+    timeout: 60000,
+    headers,
+    signal
+  }).catch((error) => {
+    // A refused redirect arrives wrapped by the redirect handler
+    throw error.cause?.code === 'BLOCKED_ADDRESS' ? error.cause : error;
+  });
+  const mimeType = videoMimeType(url, response.headers['content-type']);
+  if (Number(response.headers['content-length']) > maxBytes) {
+    response.data.destroy();
+    throw videoTooLarge(maxBytes);
+  }
+  return storeMedia(response.data, mimeType, { inlineMaxBytes, maxBytes, signal });
+}
+
+/**
+ * Read a media stream (a Node or web stream of byte chunks) into memory, or
+ * into a temporary file once it grows past inlineMaxBytes. Throws (code
+ * VIDEO_TOO_LARGE) once more than maxBytes arrive.
+ */
+async function storeMedia(stream, mimeType, { inlineMaxBytes, maxBytes, signal } = {}) {
+  const chunks = [];
+  let size = 0;
+  let file = null;
+
+  const removeFile = async () => {
+    if (file) {
+      file.stream.destroy();
+      await fs.promises.rm(file.dir, { recursive: true, force: true });
+    }
+  };
+  const write = async (chunk) => {
+    if (!file.stream.write(chunk)) {
+      await once(file.stream, 'drain');
+    }
+  };
+
+  try {
+    // Leaving the loop early destroys (or cancels) the source stream
+    for await (const chunk of stream) {
+      signal?.throwIfAborted();
+      size += chunk.length;
+      if (size > maxBytes) {
+        throw videoTooLarge(maxBytes);
+      }
+      if (!file && size > inlineMaxBytes) {
+        // Too large to inline: move what has arrived so far to a temporary file
+        const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'vidreduce-'));
+        file = { dir, path: path.join(dir, 'media'), stream: null };
+        file.stream = fs.createWriteStream(file.path);
+        for (const buffered of chunks.splice(0)) {
+          await write(buffered);
+        }
+      }
+      if (file) {
+        await write(chunk);
+      } else {
+        chunks.push(chunk);
+      }
+    }
+    if (file) {
+      file.stream.end();
+      await finished(file.stream);
+    }
+  } catch (error) {
+    await removeFile();
+    throw error;
+  }
+
+  if (!file) {
+    return { mimeType, size, buffer: Buffer.concat(chunks), cleanup: async () => {} };
+  }
+  return { mimeType, size, path: file.path, cleanup: removeFile };
+}
+
+/**
+ * Error for a failed File API call, tagged for lib/retry.js
+ */
+async function fileApiError(action, response) {
+  const errorData = await response.json().catch(() => ({}));
+  return Object.assign(
+    new Error(`Gemini File API error: could not ${action}: ${response.status} ${response.statusText} - ${errorData.error?.message || JSON.stringify(errorData)}`),
+    { providerStatus: response.status, retryAfterMs: parseRetryAfter(response.headers.get('retry-after')) }
+  );
+}
+
+/**
+ * Upload a downloaded video with the File API's resumable protocol: one
+ * request starts the upload session, a second sends the bytes and finalizes.
+ * Resolves to the file, which is usually still PROCESSING.
+ */
+async function uploadGeminiFile(video, apiKey, { displayName, signal } = {}) {
+  const start = await fetch(`${GEMINI_API_URL}/upload/v1beta/files?key=${apiKey}`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'X-Goog-Upload-Protocol': 'resumable',
+      'X-Goog-Upload-Command': 'start',
+      'X-Goog-Upload-Header-Content-Length': String(video.size),
+      'X-Goog-Upload-Header-Content-Type': video.mimeType
+    },
+    body: JSON.stringify({ file: { display_name: displayName } }),
+    signal
+  });
+  if (!start.ok) {
+    throw await fileApiError('start the upload', start);
+  }
+  const uploadUrl = start.headers.get('x-goog-upload-url');
+  if (!uploadUrl) {
+    throw new Error('Gemini File API did not return an upload URL');
+  }
+
+  console.log(`Uploading ${(video.size / (1024 * 1024)).toFixed(2)}MB video to the Gemini File API...`);
+  const upload = await fetch(uploadUrl, {
+    method: 'POST',
+    headers: {
+      'Content-Length': String(video.size),
+      'X-Goog-Upload-Offset': '0',
+      'X-Goog-Upload-Command': 'upload, finalize'
+    },
+    body: video.path ? fs.createReadStream(video.path) : video.buffer,
+    duplex: 'half',
+    signal
+  });
+  if (!upload.ok) {
+    throw await fileApiError('upload the video', upload);
+  }
+
+  const { file } = await upload.json();
+  return file;
+}
+
+/**
+ * Poll an uploaded file until Gemini has processed it. Resolves to the
+ * ACTIVE file; throws if processing fails or takes too long.
+ */
+async function waitForGeminiFile(file, apiKey, { signal, intervalMs = FILE_POLL_INTERVAL_MS, timeoutMs = FILE_PROCESSING_TIMEOUT_MS } = {}) {
+  const deadline = Date.now() + timeoutMs;
+  let current = file;
+
+  while (current.state === 'PROCESSING') {
+    if (Date.now() > deadline) {
+      throw new Error('Gemini took too long to process the video. Please try again.');
+    }
+    await sleep(intervalMs, undefined, { signal });
+    const response = await fetch(`${GEMINI_API_URL}/v1beta/${current.name}?key=${apiKey}`, { signal });
+    if (!response.ok) {
+      throw await fileApiError('check the uploaded video', response);
+    }
+    current = await response.json();
+  }
+
+  if (current.state !== 'ACTIVE') {
+    throw new Error(`Gemini could not process the video (${current.state}): ${current.error?.message || 'unknown error'}`);
+  }
+  return current;
+}
+
+/**
+ * Delete an uploaded file. Failures are only logged: Gemini deletes
+ * uploads after 48 hours anyway.
+ */
+async function deleteGeminiFile(file, apiKey) {
+  try {
+    const response = await fetch(`${GEMINI_API_URL}/v1beta/${file.name}?key=${apiKey}`, { method: 'DELETE' });
+    if (!response.ok) {
+      throw await fileApiError('delete the uploaded video', response);
+    }
+  } catch (error) {
+    console.error(`Failed to delete ${file.name}:`, error.message);
+  }
+}
+
+module.exports = {
+  downloadVideo,
+  storeMedia,
+  uploadGeminiFile,
+  waitForGeminiFile,
+  deleteGeminiFile
+};
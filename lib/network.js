@@ -0,0 +1,114 @@
+/**
+ * Guards for requests to URLs that come from users or from other sites
+ *
+ * Links to video files reach the server from users (the direct source) and
+ * from the pages of the sites it reads (Open Graph tags, tikwm), so fetching
+ * them must not reach the server's own network: loopback, private,
+ * link-local (including cloud metadata at 169.254.169.254) and other
+ * non-public addresses are refused. Names are checked as they are resolved
+ * for each connection, redirects included, so a host cannot pass the check
+ * with one address and connect to another.
+ */
+
+const dns = require('dns');
+const net = require('net');
+
+const BLOCKED_ADDRESSES = new net.BlockList();
+for (const [network, prefix] of [
+  ['0.0.0.0', 8], // "This" network
+  ['10.0.0.0', 8], // Private
+  ['100.64.0.0', 10], // Carrier-grade NAT
+  ['127.0.0.0', 8], // Loopback
+  ['169.254.0.0', 16], // Link-local, cloud metadata
+  ['172.16.0.0', 12], // Private
+  ['192.0.0.0', 24], // IETF protocol assignments
+  ['192.168.0.0', 16], // Private
+  ['198.18.0.0', 15], // Benchmarking
+  ['224.0.0.0', 4], // Multicast
+  ['240.0.0.0', 4] // Reserved, broadcast
+]) {
+  BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [
+  ['::', 127], // Unspecified, loopback
+  ['64:ff9b::', 96], // IPv4/IPv6 translation
+  ['fc00::', 7], // Unique local
+  ['fe80::', 10], // Link-local
+  ['ff00::', 8] // Multicast
+]) {
+  BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv6');
+}
+// IPv4-mapped IPv6 addresses (::ffff:127.0.0.1) are checked against the IPv4 ranges
+
+/**
+ * Whether an IP address is reachable on the public internet
+ */
+function isPublicAddress(address) {
+  const family = net.isIP(address);
+  if (!family) {
+    return false;
+  }
+  return !BLOCKED_ADDRESSES.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+function blockedAddress(host) {
+  return Object.assign(
+    new Error(`Refusing to fetch ${host}: it is not a public address.`),
+    { code: 'BLOCKED_ADDRESS' }
+  );
+}
+
+/**
+ * Throw (code BLOCKED_ADDRESS) unless a URL is http(s) and its host is not a
+ * private IP address. Host names are checked when they are resolved (see
+ * publicLookup).
+ */
+function assertPublicUrl(url) {
+  const { protocol, hostname } = new URL(url);
+  if (protocol !== 'http:' && protocol !== 'https:') {
+    throw Object.assign(new Error(`Refusing to fetch a ${protocol} URL.`), { code: 'BLOCKED_ADDRESS' });
+  }
+  // IPv6 hosts keep their brackets in URLs
+  const host = hostname.replace(/^\[(.*)\]$/, '$1');
+  if (net.isIP(host) && !isPublicAddress(host)) {
+    throw blockedAddress(host);
+  }
+}
+
+/**
+ * dns.lookup that fails (code BLOCKED_ADDRESS) if a name resolves to any
+ * address that is not public
+ */
+function publicLookup(hostname, options, callback) {
+  if (typeof options === 'function') {
+    [options, callback] = [{}, options];
+  }
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) {
+      return callback(error);
+    }
+    if (!addresses.length || addresses.some(({ address }) => !isPublicAddress(address))) {
+      return callback(blockedAddress(hostname));
+    }
+    if (options.all) {
+      return callback(null, addresses);
+    }
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+/**
+ * axios options that keep a request, and each redirect it follows, on
+ * public addresses
+ */
+const PUBLIC_ONLY = {
+  lookup: publicLookup,
+  beforeRedirect: options => assertPublicUrl(options.href)
+};
+
+module.exports = {
+  isPublicAddress,
+  assertPublicUrl,
+  publicLookup,
+  PUBLIC_ONLY
+};
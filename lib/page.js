@@ -0,0 +1,285 @@
+/**
+ * The standalone summary page: one template for every kind of summary
+ * (YouTube videos and playlists, media source videos, the subscription
+ * digest), themed with the source's colours
+ *
+ * renderSummaryPage(page) takes
+ * {
+ *   title, summaryHtml,              // summaryHtml is a sanitized fragment (see lib/sanitize.js)
+ *   url, linkLabel, pageTitle,       // the link back to the video, and the <title> prefix
+ *   metadata,                        // YouTube video details (see lib/youtube.js), optional
+ *   theme: { accent, link, border }, // see sourceTheme
+ *   heading, footer, backLabel,      // wording around the summary
+ *   generatedAt,                     // ISO date, defaults to now
+ *   share                            // Open Graph / Twitter card details, for permalinks
+ * }
+ * where share is { url, description, image, siteName } with absolute URLs.
+ * Everything but summaryHtml is escaped here.
+ */
+
+const { escapeHtml } = require('./summary');
+const { isSafeUrl } = require('./sanitize');
+const { formatTimestamp } = require('./transcript');
+
+const DEFAULT_THEME = { accent: '#3498db', link: '#0654ba', border: '#e0e0e0' };
+
+/**
+ * A theme in one source colour, as media sources (Twitter/X, TikTok, ...) use
+ */
+function sourceTheme(color) {
+  return { accent: color, link: color, border: color };
+}
+
+/**
+ * An escaped URL for an href, or "#" for one a page should not link to
+ * (javascript:, data:, ...)
+ */
+function hrefAttribute(url) {
+  return isSafeUrl(url) ? escapeHtml(url) : '#';
+}
+
+/**
+ * Thumbnail and a channel, length, publish date and views line for a
+ * YouTube video's summary page (metadata as in lib/youtube.js)
+ */
+function renderVideoMetadata(metadata) {
+  const details = [
+    metadata.author && escapeHtml(metadata.author),
+    metadata.duration && formatTimestamp(metadata.duration),
+    metadata.publishedAt && `Published ${new Date(metadata.publishedAt).toLocaleDateString()}`,
+    typeof metadata.viewCount === 'number' && `${metadata.viewCount.toLocaleString()} views`
+  ].filter(Boolean);
+  const thumbnail = metadata.thumbnail && isSafeUrl(metadata.thumbnail)
+    ? `<img class="video-thumbnail" src="${escapeHtml(metadata.thumbnail)}" alt="">`
+    : '';
+  return `${thumbnail}<div class="video-details">${details.join(' • ')}</div>`;
+}
+
+/**
+ * Open Graph and Twitter card tags, so shared permalinks unfurl with the
+ * video's title, TL;DR and thumbnail
+ */
+function renderShareTags(title, { url, description = '', image, siteName = 'VidReduce' }) {
+  const tags = [
+    ['name', 'description', description],
+    ['property', 'og:type', 'article'],
+    ['property', 'og:site_name', siteName],
+    ['property', 'og:title', title],
+    ['property', 'og:description', description],
+    ['property', 'og:url', url],
+    ['property', 'og:image', image],
+    ['name', 'twitter:card', image ? 'summary_large_image' : 'summary'],
+    ['name', 'twitter:title', title],
+    ['name', 'twitter:description', description],
+    ['name', 'twitter:image', image]
+  ].filter(([, , content]) => content);
+
+  return [
+    `<link rel="canonical" href="${hrefAttribute(url)}">`,
+    ...tags.map(([attribute, name, content]) => `<meta ${attribute}="${name}" content="${escapeHtml(content)}">`)
+  ].map(tag => `    ${tag}`).join('\n');
+}
+
+/**
+ * Render a summary as a standalone HTML page
+ */
+function renderSummaryPage({
+  title,
+  summaryHtml,
+  url,
+  linkLabel = 'Watch on YouTube',
+  pageTitle = 'YouTube Video Summary',
+  metadata,
+  theme = DEFAULT_THEME,
+  heading = '📋 AI-Generated Summary',
+  footer = 'Generated by VidReduce - AI-powered YouTube transcript analysis',
+  backLabel = '← Summarize Another Video',
+  generatedAt = new Date().toISOString(),
+  share
+}) {
+  const generated = new Date(generatedAt);
+  const { accent, link, border } = { ...DEFAULT_THEME, ...theme };
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${escapeHtml(pageTitle)} - ${escapeHtml(title)}</title>
+${share ? `${renderShareTags(title, share)}\n` : ''}    <style>
+        body {
+            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, Cantarell, sans-serif;
+            line-height: 1.6;
+            max-width: 800px;
+            margin: 0 auto;
+            padding: 20px;
+            background-color: #f5f5f5;
+        }
+        .container {
+            background: white;
+            padding: 30px;
+            border-radius: 10px;
+            box-shadow: 0 2px 10px rgba(0,0,0,0.1);
+        }
+        .header {
+            text-align: center;
+            border-bottom: 2px solid ${border};
+            padding-bottom: 20px;
+            margin-bottom: 30px;
+        }
+        .video-title {
+            color: #1a1a1a;
+            font-size: 28px;
+            font-weight: 700;
+            margin-bottom: 10px;
+        }
+        .video-link {
+            color: ${link};
+            text-decoration: none;
+            font-size: 16px;
+        }
+        .video-link:hover {
+            text-decoration: underline;
+        }
+        .video-thumbnail {
+            display: block;
+            width: 100%;
+            max-width: 480px;
+            margin: 0 auto 15px;
+            border-radius: 8px;
+        }
+        .video-details {
+            color: #444;
+            font-size: 15px;
+            margin-top: 10px;
+        }
+        .metadata {
+            color: #666;
+            font-size: 14px;
+            margin-top: 10px;
+        }
+        .summary-section {
+            margin-bottom: 30px;
+        }
+        .section-title {
+            color: #2c3e50;
+            font-size: 24px;
+            font-weight: 600;
+            margin-bottom: 20px;
+            border-left: 4px solid ${accent};
+            padding-left: 15px;
+        }
+        .summary-content {
+            background: #f8f9fa;
+            padding: 20px;
+            border-radius: 8px;
+            border-left: 4px solid ${accent};
+            font-size: 16px;
+            line-height: 1.7;
+        }
+        .summary-content .topics {
+            margin-top: 20px;
+        }
+        .summary-content .topic {
+            display: inline-block;
+            margin: 0 4px 6px 0;
+            padding: 2px 10px;
+            border-radius: 999px;
+            background: #e9ecef;
+            color: #495057;
+            font-size: 13px;
+        }
+        .footer {
+            margin-top: 40px;
+            padding-top: 20px;
+            border-top: 1px solid #e0e0e0;
+            text-align: center;
+            color: #666;
+            font-size: 14px;
+        }
+        .timestamp-link {
+            display: inline-block;
+            margin-left: 6px;
+            padding: 0 6px;
+            border-radius: 4px;
+            background: #e8f1fb;
+            color: #0654ba;
+            font-size: 13px;
+            text-decoration: none;
+            white-space: nowrap;
+        }
+        .timestamp-link:hover {
+            background: #d0e3f7;
+        }
+        .playlist-video {
+            margin-top: 20px;
+            padding-top: 15px;
+            border-top: 1px solid #e0e0e0;
+        }
+        .playlist-video h4 a {
+            color: #1a1a1a;
+            text-decoration: none;
+        }
+        .playlist-video.failed {
+            color: #666;
+        }
+        .digest-entry {
+            margin-bottom: 25px;
+            padding-bottom: 15px;
+            border-bottom: 1px solid #e0e0e0;
+        }
+        .digest-entry h4 a {
+            color: #1a1a1a;
+            text-decoration: none;
+        }
+        .digest-meta {
+            color: #666;
+            font-size: 14px;
+        }
+        .back-button {
+            display: inline-block;
+            margin-top: 20px;
+            padding: 10px 20px;
+            background: ${accent};
+            color: white;
+            text-decoration: none;
+            border-radius: 5px;
+            font-weight: 500;
+        }
+        .back-button:hover {
+            filter: brightness(0.9);
+        }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <div class="header">
+            ${metadata ? renderVideoMetadata(metadata) : ''}
+            <h1 class="video-title">${escapeHtml(title)}</h1>
+            <a href="${hrefAttribute(url)}" class="video-link" target="_blank" rel="noopener noreferrer">
+                ${escapeHtml(linkLabel)} ↗
+            </a>
+            <div class="metadata">
+                Generated on ${generated.toLocaleDateString()} at ${generated.toLocaleTimeString()}
+            </div>
+        </div>
+
+        <div class="summary-section">
+            <h2 class="section-title">${escapeHtml(heading)}</h2>
+            <div class="summary-content">${summaryHtml}</div>
+        </div>
+
+        <div class="footer">
+            <p>${escapeHtml(footer)}</p>
+            <a href="/" class="back-button">${escapeHtml(backLabel)}</a>
+        </div>
+    </div>
+</body>
+</html>`;
+}
+
+module.exports = {
+  DEFAULT_THEME,
+  sourceTheme,
+  renderSummaryPage
+};
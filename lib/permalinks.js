@@ -0,0 +1,163 @@
+/**
+ * Summary permalinks: completed summaries published at /s/:slug
+ *
+ * Each generated summary (a result record, see lib/export.js) is published
+ * once, under a slug made from its title and a random suffix; serving it
+ * again from the summary cache returns the same permalink. The page keeps a
+ * snapshot of the result without its transcript, so it outlives the cache.
+ *
+ * State lives in the cache (see lib/cache.js), in the "permalinks" namespace:
+ * - "index": { summaries: { [summaryKey]: slug }, pages: [{ slug, title, publishedAt }] }
+ * - "page:<slug>": { slug, summaryKey, result, ownerTokenHash, publishedAt, unpublishedAt }
+ * where summaryKey identifies one generated summary. Publishing hands out an
+ * owner token, needed to unpublish; only its hash is kept. An unpublished
+ * summary is not published again.
+ */
+
+const crypto = require('crypto');
+const { hashKey } = require('./cache');
+
+// What a permalink page keeps of a result
+const SNAPSHOT_FIELDS = [
+  'id', 'videoId', 'source', 'url', 'videoTitle', 'author', 'metadata', 'range',
+  'summary', 'summaryHtml', 'videos', 'provider', 'model', 'style', 'outputLanguage', 'generatedAt'
+];
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * A URL-friendly version of a title: lowercase words joined by dashes
+ */
+function slugify(title) {
+  const slug = String(title || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 60)
+    .replace(/-+$/, '');
+  return slug || 'summary';
+}
+
+function permalinkError(message, code) {
+  return Object.assign(new Error(message), { code });
+}
+
+/**
+ * Create the permalink store on top of a file cache
+ */
+function createPermalinkStore({ cache }) {
+  const INDEX_KEY = 'index';
+  const pageKey = slug => `page:${slug}`;
+  let updates = Promise.resolve();
+
+  async function loadIndex() {
+    const entry = await cache.get('permalinks', INDEX_KEY);
+    return entry ? entry.value : { summaries: {}, pages: [] };
+  }
+
+  // Read-modify-write of the index, one at a time
+  function update(fn) {
+    const run = updates.then(async () => {
+      const index = await loadIndex();
+      const result = await fn(index);
+      await cache.set('permalinks', INDEX_KEY, index, 0);
+      return result;
+    });
+    updates = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Publish a result. Resolves to { slug, ownerToken } when it is published
+   * now, { slug } when it already was, and null when its owner unpublished it.
+   */
+  function publish(result) {
+    const summaryKey = hashKey(`${result.id}\n${result.generatedAt}`);
+
+    return update(async (index) => {
+      const existing = index.summaries[summaryKey];
+      if (existing) {
+        const page = await get(existing);
+        return page && !page.unpublishedAt ? { slug: existing } : null;
+      }
+
+      let slug;
+      do {
+        slug = `${slugify(result.videoTitle)}-${crypto.randomBytes(4).toString('hex')}`;
+      } while (index.pages.some(page => page.slug === slug));
+
+      const ownerToken = crypto.randomBytes(18).toString('base64url');
+      const publishedAt = new Date().toISOString();
+      const snapshot = Object.fromEntries(SNAPSHOT_FIELDS.map(field => [field, result[field]]));
+      await cache.set('permalinks', pageKey(slug), {
+        slug,
+        summaryKey,
+        result: snapshot,
+        ownerTokenHash: hashToken(ownerToken),
+        publishedAt,
+        unpublishedAt: null
+      }, 0);
+
+      index.summaries[summaryKey] = slug;
+      index.pages.unshift({ slug, title: result.videoTitle, publishedAt });
+      return { slug, ownerToken };
+    });
+  }
+
+  /**
+   * A permalink page, or null if there is none. Unpublished pages are
+   * returned with their unpublishedAt date.
+   */
+  async function get(slug) {
+    const entry = await cache.get('permalinks', pageKey(slug));
+    return entry ? entry.value : null;
+  }
+
+  /**
+   * Unpublish a permalink. Throws (code NOT_FOUND) if there is no such
+   * permalink and (code FORBIDDEN) if the owner token does not match.
+   */
+  function unpublish(slug, ownerToken) {
+    return update(async (index) => {
+      const page = await get(slug);
+      if (!page || page.unpublishedAt) {
+        throw permalinkError('Permalink not found.', 'NOT_FOUND');
+      }
+      const expected = Buffer.from(page.ownerTokenHash, 'hex');
+      const given = Buffer.from(hashToken(String(ownerToken || '')), 'hex');
+      if (!crypto.timingSafeEqual(expected, given)) {
+        throw permalinkError('Only the owner of this permalink can unpublish it.', 'FORBIDDEN');
+      }
+
+      // The snapshot goes; the tombstone keeps the slug from serving, and the summary from being published again
+      await cache.set('permalinks', pageKey(slug), {
+        slug,
+        summaryKey: page.summaryKey,
+        result: null,
+        ownerTokenHash: page.ownerTokenHash,
+        publishedAt: page.publishedAt,
+        unpublishedAt: new Date().toISOString()
+      }, 0);
+      index.pages = index.pages.filter(entry => entry.slug !== slug);
+    });
+  }
+
+  /**
+   * Published permalinks, newest first: [{ slug, title, publishedAt }]
+   */
+  async function list() {
+    await updates;
+    return (await loadIndex()).pages;
+  }
+
+  return { publish, get, unpublish, list };
+}
+
+module.exports = {
+  slugify,
+  createPermalinkStore
+};
@@ -0,0 +1,82 @@
+/**
+ * YouTube playlists: recognizing playlist IDs and rendering the digest of
+ * a summarized playlist
+ *
+ * A digest combines a structured summary of the whole playlist (see
+ * lib/summary.js) with one entry per video:
+ * { id, title, url, status: 'succeeded' | 'failed', summary?, error? }
+ */
+
+const { escapeHtml, formatText, renderTakeaway, renderSummaryHTML } = require('./summary');
+const { sanitizeHtml } = require('./sanitize');
+
+// Playlist IDs: user playlists (PL), uploads (UU), mixes (RD), albums (OLAK5uy_) and liked/favorites
+const PLAYLIST_ID_PATTERN = /^(PL|UU|LL|FL|RD|OL)[\w-]{10,}$/;
+
+/**
+ * Extract a playlist ID from a youtube.com/playlist?list= URL or a bare
+ * playlist ID. Watch URLs with a list= parameter are treated as a single
+ * video, so this returns null for them.
+ */
+function parsePlaylistId(input) {
+  const value = String(input || '').trim();
+  if (PLAYLIST_ID_PATTERN.test(value)) {
+    return value;
+  }
+
+  let url;
+  try {
+    // Links pasted without a scheme (youtube.com/playlist?list=...) are read as https
+    url = new URL(/^[a-z][\w+.-]*:\/\//i.test(value) ? value : `https://${value}`);
+  } catch (error) {
+    return null;
+  }
+  if (!/(^|\.)youtube\.com$/.test(url.hostname) || url.pathname !== '/playlist') {
+    return null;
+  }
+  const list = url.searchParams.get('list');
+  return list && /^[\w-]+$/.test(list) ? list : null;
+}
+
+function playlistUrl(playlistId) {
+  return `https://www.youtube.com/playlist?list=${playlistId}`;
+}
+
+/**
+ * Render one video of the playlist: its TL;DR and timestamped takeaways,
+ * or the reason it could not be summarized
+ */
+function renderPlaylistVideo(video, index) {
+  const heading = `<h4><a href="${escapeHtml(video.url)}" target="_blank">${index + 1}. ${escapeHtml(video.title)}</a></h4>`;
+
+  if (video.status !== 'succeeded') {
+    return `<div class="playlist-video failed">\n${heading}\n<p>⚠️ ${escapeHtml(video.error || 'Could not be summarized')}</p>\n</div>`;
+  }
+
+  const parts = [heading];
+  if (video.summary.tldr) {
+    parts.push(`<p>${formatText(video.summary.tldr)}</p>`);
+  }
+  if (video.summary.takeaways.length > 0) {
+    parts.push(`<ul>\n${video.summary.takeaways.map(takeaway => renderTakeaway(takeaway, video.id)).join('\n')}\n</ul>`);
+  }
+  return `<div class="playlist-video">\n${parts.join('\n')}\n</div>`;
+}
+
+/**
+ * Render a playlist digest as a sanitized HTML fragment: the playlist-level
+ * summary followed by every video in playlist order
+ */
+function renderPlaylistHTML(digest, videos) {
+  return sanitizeHtml([
+    renderSummaryHTML(digest),
+    '<h3>📺 Videos</h3>',
+    ...videos.map(renderPlaylistVideo)
+  ].join('\n'));
+}
+
+module.exports = {
+  parsePlaylistId,
+  playlistUrl,
+  renderPlaylistHTML
+};
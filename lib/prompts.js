@@ -0,0 +1,327 @@
+/**
+ * Prompt template registry shared by every AI provider
+ *
+ * A template is a prompt with {{variables}}: title, transcript, language,
+ * source (what is being summarized) and contentLabel (what the transcript
+ * block is called). Templates describe what goes into each field of the
+ * structured summary (see lib/summary.js); the output rules common to all
+ * styles (JSON fields, timestamps, output language) are appended by the
+ * builders below, so custom templates only need to describe the content.
+ */
+
+const { SUMMARY_SCHEMA } = require('./summary');
+
+const DEFAULT_STYLE = 'detailed';
+const MAX_CUSTOM_PROMPT_LENGTH = 4000;
+
+const SYSTEM_PROMPT = 'You are a helpful assistant that summarizes videos. Respond only with JSON matching the requested schema.';
+
+const templates = new Map();
+
+/**
+ * Register a named summary style
+ */
+function registerTemplate(name, { label, description, prompt, videoPrompt }) {
+  if (!prompt) {
+    throw new Error(`Prompt template "${name}" must define a prompt`);
+  }
+  templates.set(name, { name, label: label || name, description: description || '', prompt, videoPrompt });
+}
+
+registerTemplate('brief', {
+  label: 'Brief TL;DR',
+  description: 'A few sentences and the five most important points',
+  prompt: `Write a brief TL;DR of the following {{source}}.
+
+Video Title: {{title}}
+
+{{contentLabel}}:
+{{transcript}}
+
+- tldr: at most three sentences
+- takeaways: at most five short points
+- conclusion: one sentence
+- sections: none`
+});
+
+registerTemplate('detailed', {
+  label: 'Detailed',
+  description: 'Key takeaways and a conclusion',
+  prompt: `Please provide a thorough summary with the most prescient insights from the following {{source}}.
+
+Video Title: {{title}}
+
+{{contentLabel}}:
+{{transcript}}
+
+- tldr: two or three sentences on what the video is about
+- takeaways: the key takeaways, concise but insightful
+- conclusion: a paragraph with the overall conclusion
+- sections: none`,
+  videoPrompt: `You are analyzing a {{source}}. Please provide a comprehensive summary.
+
+{{contentLabel}}:
+{{transcript}}
+
+- tldr: two or three sentences on what the video is about
+- takeaways: the key takeaways
+- conclusion: a paragraph with the final summary
+- sections: a "🎬 Video Description" section describing what's happening, then a "🗣️ Spoken Content" section with the transcribed dialogue (skip it if there is no spoken content)`
+});
+
+registerTemplate('technical', {
+  label: 'Technical Deep-Dive',
+  description: 'Architecture, tools, numbers and trade-offs',
+  prompt: `Write a technical deep-dive of the following {{source}} for an engineering audience.
+
+Video Title: {{title}}
+
+{{contentLabel}}:
+{{transcript}}
+
+- tldr: the problem and the approach
+- takeaways: the most important technical insights
+- sections: a "🔧 Technical Details" section covering architectures, algorithms, tools, versions, configuration and figures exactly as stated, then a "⚖️ Trade-offs & Caveats" section of limitations, alternatives and gotchas
+- conclusion: the practical recommendation
+
+Prefer precise terminology over simplification.`
+});
+
+registerTemplate('meeting-notes', {
+  label: 'Meeting Notes',
+  description: 'Summary, decisions, action items and open questions',
+  prompt: `Turn the following {{source}} into meeting notes.
+
+Meeting Title: {{title}}
+
+{{contentLabel}}:
+{{transcript}}
+
+- tldr: what was discussed
+- takeaways: the main discussion points
+- sections: a "✅ Decisions" section, a "📋 Action Items" section naming the owner in **bold** when mentioned, and a "❓ Open Questions" section; leave out a section only if nothing in the {{source}} belongs in it
+- conclusion: the outcome of the meeting`
+});
+
+registerTemplate('lecture-notes', {
+  label: 'Lecture Notes',
+  description: 'Study notes with concepts, examples and review questions',
+  prompt: `Write study notes for a student from the following {{source}}.
+
+Lecture Title: {{title}}
+
+{{contentLabel}}:
+{{transcript}}
+
+- tldr: what the lecture teaches
+- takeaways: the key concepts, each starting with the concept in **bold** followed by an explanation
+- sections: a "🎯 Learning Objectives" section, a "🧪 Examples" section of worked examples and demonstrations, and a "🔁 Review Questions" section of questions to test understanding
+- conclusion: a paragraph tying the concepts together`
+});
+
+/**
+ * List the registered styles for clients
+ */
+function listTemplates() {
+  return Array.from(templates.values()).map(({ name, label, description }) => ({ name, label, description }));
+}
+
+/**
+ * Resolve the template for a request: a user-supplied custom prompt wins,
+ * otherwise the named style (default: detailed)
+ */
+function resolveTemplate(style, customPrompt) {
+  if (customPrompt && String(customPrompt).trim()) {
+    const prompt = String(customPrompt).trim();
+    if (prompt.length > MAX_CUSTOM_PROMPT_LENGTH) {
+      throw new Error(`Custom prompt is too long. Maximum length is ${MAX_CUSTOM_PROMPT_LENGTH} characters.`);
+    }
+    // Make sure the content is always included, even if the template forgets it
+    const withContent = prompt.includes('{{transcript}}')
+      ? prompt
+      : `${prompt}\n\nVideo Title: {{title}}\n\n{{contentLabel}}:\n{{transcript}}`;
+    return { name: 'custom', label: 'Custom', prompt: withContent };
+  }
+
+  const template = templates.get(style || DEFAULT_STYLE);
+  if (!template) {
+    throw new Error(`Unknown summary style "${style}". Available styles: ${Array.from(templates.keys()).join(', ')}`);
+  }
+  return template;
+}
+
+/**
+ * Replace {{variable}} placeholders; unknown variables are left untouched
+ */
+function renderTemplate(text, variables) {
+  return text.replace(/\{\{\s*(\w+)\s*\}\}/g, (placeholder, name) =>
+    variables[name] !== undefined ? String(variables[name]) : placeholder
+  );
+}
+
+/**
+ * Output rules appended to every template
+ */
+function outputRules({ fromNotes = false, timed = false, language = 'English' }) {
+  const rules = [
+    'Respond with a JSON object with the fields title, tldr, takeaways, conclusion, topics and sections',
+    'title: a short descriptive title for the summary',
+    `takeaways: objects with "text" and "timestamp"; ${timed
+      ? `timestamp is the [m:ss] timestamp of the moment the takeaway refers to, taken from the ${fromNotes ? 'notes' : 'transcript lines'} and written without brackets, e.g. "12:34"`
+      : 'timestamp is always null'}`,
+    'topics: three to eight short topic tags',
+    'sections: extra sections only where asked for above, each with a "heading" and a list of "items"; otherwise an empty list',
+    'Emphasize key terms or concepts with **double asterisks**; use no HTML or other markdown'
+  ];
+  if (fromNotes) {
+    rules.push('Cover the whole video, not just the first sections');
+  }
+  if (language !== 'English') {
+    rules.push(`Write every text value in ${language}, including section headings, whatever the language of the source`);
+  }
+
+  return `Output rules:\n${rules.map(rule => `- ${rule}`).join('\n')}`;
+}
+
+/**
+ * Prompt for the final structured summary, either from the full transcript or
+ * from the merged section notes of a chunked transcript
+ */
+function buildSummaryPrompt(template, videoTitle, content, { fromNotes = false, timed = false, language = 'English' } = {}) {
+  const variables = {
+    title: videoTitle,
+    transcript: content,
+    language,
+    source: fromNotes
+      ? 'notes taken in order from every section of a long YouTube video transcript'
+      : 'YouTube video transcript',
+    contentLabel: fromNotes ? 'Section notes' : 'Transcript'
+  };
+
+  return {
+    system: SYSTEM_PROMPT,
+    prompt: `${renderTemplate(template.prompt, variables)}\n\n${outputRules({ fromNotes, timed, language })}`,
+    schema: SUMMARY_SCHEMA,
+    maxTokens: 4000
+  };
+}
+
+/**
+ * Prompt for summarizing a video file directly (Twitter/X, TikTok, ...), where
+ * the model sees the video and the post text is the only written context
+ */
+function buildVideoPrompt(template, videoTitle, context, { language = 'English', source = 'Twitter/X video' } = {}) {
+  const variables = {
+    title: videoTitle,
+    transcript: context,
+    language,
+    source,
+    contentLabel: 'Post'
+  };
+
+  return {
+    system: SYSTEM_PROMPT,
+    prompt: `${renderTemplate(template.videoPrompt || template.prompt, variables)}\n\n${outputRules({ language })}`,
+    schema: SUMMARY_SCHEMA,
+    maxTokens: 4000
+  };
+}
+
+/**
+ * Prompt for a playlist digest, built from the structured summaries of its
+ * videos ({ title, summary }) in playlist order
+ */
+function buildDigestPrompt(playlistTitle, videos, { language = 'English' } = {}) {
+  const content = videos.map((video, index) => [
+    `Video ${index + 1}: ${video.title}`,
+    `TL;DR: ${video.summary.tldr}`,
+    ...video.summary.takeaways.map(takeaway => `- ${takeaway.text}`),
+    video.summary.conclusion ? `Conclusion: ${video.summary.conclusion}` : ''
+  ].filter(Boolean).join('\n')).join('\n\n');
+
+  return {
+    system: SYSTEM_PROMPT,
+    prompt: `Write a digest of a YouTube playlist from the summaries of its ${videos.length} videos, given in playlist order.
+
+Playlist Title: ${playlistTitle}
+
+Video summaries:
+${content}
+
+- tldr: what the playlist covers as a whole and who it is for
+- takeaways: the most important insights across the videos, each naming the video it comes from in **bold**
+- sections: a "🧭 Learning Path" section with one item per video saying what it adds, then a "🔗 Common Themes" section of ideas that recur across videos
+- conclusion: the overall conclusion of the playlist
+
+${outputRules({ language })}`,
+    schema: SUMMARY_SCHEMA,
+    maxTokens: 4000
+  };
+}
+
+/**
+ * Prompt for answering a question about a video from transcript excerpts
+ * ([m:ss] lines, see lib/qa.js). `history` holds the earlier turns of the
+ * conversation as { question, answer }. The answer is plain text citing
+ * the excerpts it uses by timestamp.
+ */
+function buildAnswerPrompt(videoTitle, question, excerpts, { history = [], language } = {}) {
+  const conversation = history.length > 0
+    ? `\nEarlier in this conversation:\n${history.map(turn => `Q: ${turn.question}\nA: ${turn.answer}`).join('\n\n')}\n`
+    : '';
+
+  return {
+    system: 'You are a research assistant that answers questions about videos using only their transcripts.',
+    prompt: `Answer a question about a YouTube video using the transcript excerpts below. Each line starts with the [m:ss] timestamp where it is said; "…" marks skipped parts of the video.
+
+Video Title: ${videoTitle}
+
+Transcript excerpts:
+${excerpts}
+${conversation}
+Question: ${question}
+
+Rules:
+- Answer only from the transcript excerpts; if they do not answer the question, say so plainly
+- Cite the line each statement comes from with its timestamp in square brackets, exactly as written in the excerpts, e.g. [12:34]
+- Be concise: a short paragraph, or a few "- " bullets for lists
+- Emphasize key terms with **double asterisks**; use no HTML or other markdown
+- ${language ? `Answer in ${language}` : 'Answer in the language of the question'}`,
+    maxTokens: 1000
+  };
+}
+
+/**
+ * Prompt for the map step: plain-text notes for one section of the transcript
+ */
+function buildChunkPrompt(videoTitle, chunk, index, total, timed) {
+  return {
+    system: 'You are a helpful assistant that takes detailed notes on sections of YouTube video transcripts.',
+    prompt: `The following is section ${index + 1} of ${total} of a YouTube video transcript. Sections overlap slightly.
+
+Video Title: ${videoTitle}
+
+Transcript section:
+${chunk}
+
+Write concise plain-text notes for this section only:
+- List every distinct point, claim, example or figure as a "- " bullet${timed ? '\n- Start each bullet with the [m:ss] timestamp of the transcript line it comes from' : ''}
+- Keep names, numbers and technical terms exactly as stated
+- Do NOT add an introduction or conclusion
+- Do NOT use HTML or markdown headers`,
+    maxTokens: 1500
+  };
+}
+
+module.exports = {
+  DEFAULT_STYLE,
+  registerTemplate,
+  listTemplates,
+  resolveTemplate,
+  renderTemplate,
+  buildSummaryPrompt,
+  buildVideoPrompt,
+  buildDigestPrompt,
+  buildAnswerPrompt,
+  buildChunkPrompt
+};
@@ -0,0 +1,585 @@
+/**
+ * AI provider registry
+ *
+ * A provider is
+ * { name, label, keyEnv, keyField, requiresKey, defaultModel, models, selfHosted, createGenerator }
+ * where keyEnv is the environment variable holding a server key, keyField
+ * the request field users can send their own key in, and
+ * createGenerator({ apiKey, model }) resolves to a text generator:
+ * async ({ system, prompt, schema, maxTokens, onToken, onUsage, signal }) => text
+ *
+ * With a JSON schema, generators request JSON output matching it. onToken
+ * receives the text as it is generated; a response cut off by the token
+ * limit throws an error with code MAX_TOKENS and the text so far in
+ * partialText. onUsage receives the call's { inputTokens, outputTokens }
+ * when the API reports them, truncated responses included (see lib/usage.js).
+ *
+ * Failed API calls throw errors with providerStatus (the HTTP status) and,
+ * when the provider said how long to wait, retryAfterMs; createResilientGenerator
+ * uses them to retry and fail over (see lib/retry.js).
+ *
+ * AI_PROVIDERS (comma-separated names) limits the providers a server offers.
+ */
+
+const OpenAI = require('openai');
+const { toGeminiSchema } = require('./summary');
+const { readEventStream } = require('./sse');
+const { isTransientError, parseRetryAfter, withRetry } = require('./retry');
+
+const ANTHROPIC_API_URL = 'https://api.anthropic.com/v1/messages';
+const ANTHROPIC_VERSION = '2023-06-01';
+
+const providers = new Map();
+
+/**
+ * Read a comma-separated list from an environment variable
+ */
+function envList(name) {
+  return (process.env[name] || '').split(',').map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * Register an AI provider. The default model comes first in `models`,
+ * the models requests may choose from.
+ */
+function registerProvider(name, { label, keyEnv, keyField, requiresKey = true, defaultModel, models = [], selfHosted = false, createGenerator }) {
+  if (!defaultModel || !createGenerator) {
+    throw new Error(`AI provider "${name}" must define a defaultModel and createGenerator`);
+  }
+  providers.set(name, {
+    name,
+    label: label || name,
+    keyEnv,
+    keyField,
+    requiresKey,
+    defaultModel,
+    models: [...new Set([defaultModel, ...models])],
+    selfHosted,
+    createGenerator
+  });
+}
+
+function isEnabled(name) {
+  const enabled = envList('AI_PROVIDERS');
+  return enabled.length === 0 || enabled.includes(name);
+}
+
+/**
+ * Look up an enabled provider; throws (code UNKNOWN_PROVIDER) otherwise
+ */
+function getProvider(name) {
+  const provider = providers.get(name);
+  if (!provider || !isEnabled(name)) {
+    const available = listProviders().map(p => `"${p.name}"`).join(', ');
+    throw Object.assign(new Error(`Invalid AI provider "${name}". Available providers: ${available}.`), { code: 'UNKNOWN_PROVIDER' });
+  }
+  return provider;
+}
+
+/**
+ * Enabled providers for the provider selector. `configured` reports whether
+ * the server can use the provider without a key from the user.
+ */
+function listProviders() {
+  return Array.from(providers.values())
+    .filter(provider => isEnabled(provider.name))
+    .map(({ name, label, keyField, requiresKey, defaultModel, models, selfHosted, keyEnv }) => ({
+      name,
+      label,
+      keyField,
+      requiresKey,
+      defaultModel,
+      models,
+      selfHosted,
+      configured: !requiresKey || !!process.env[keyEnv]
+    }));
+}
+
+/**
+ * The model to use with a provider: `requested` if the provider offers it,
+ * otherwise its default. Throws (code UNKNOWN_MODEL) for models not offered.
+ */
+function resolveModel(name, requested) {
+  const provider = getProvider(name);
+  if (!requested) {
+    return provider.defaultModel;
+  }
+  if (!provider.models.includes(requested)) {
+    throw Object.assign(
+      new Error(`Model "${requested}" is not available for ${provider.label}. Available models: ${provider.models.join(', ')}.`),
+      { code: 'UNKNOWN_MODEL' }
+    );
+  }
+  return requested;
+}
+
+/**
+ * Create a text generator for a provider and model
+ */
+async function createGenerator(name, { apiKey, model } = {}) {
+  const provider = getProvider(name);
+  return provider.createGenerator({ apiKey, model: model || provider.defaultModel });
+}
+
+/**
+ * Error for a failed API response, tagged for lib/retry.js. Google reports
+ * the wait in a RetryInfo detail rather than a Retry-After header.
+ */
+function apiError(message, response, errorData = {}) {
+  const retryInfo = errorData.error?.details?.find(detail => detail.retryDelay);
+  return Object.assign(new Error(message), {
+    providerStatus: response.status,
+    retryAfterMs: parseRetryAfter(response.headers.get('retry-after') ?? retryInfo?.retryDelay)
+  });
+}
+
+/**
+ * Tag an OpenAI SDK error like apiError does
+ */
+function openAIError(error) {
+  if (error instanceof OpenAI.APIError && error.status) {
+    error.providerStatus = error.status;
+    error.retryAfterMs = parseRetryAfter(error.headers?.['retry-after']);
+  }
+  return error;
+}
+
+/**
+ * Create a generator over candidates [{ provider, model, apiKey }] that
+ * retries transient errors (options in `retry`, see withRetry) and, when a
+ * provider stays unavailable, fails over to the next candidate for this and
+ * later calls. Nothing is retried once tokens have been streamed.
+ * onRetry({ provider, attempt, delayMs, error }) and
+ * onFailover({ from, to, model, error }) report what happened;
+ * generate.used is the candidate that produced the last response. A
+ * request's onUsage is told the provider and model of each call too.
+ */
+function createResilientGenerator(candidates, { retry = {}, onRetry, onFailover } = {}) {
+  const generators = new Map();
+  let index = 0;
+
+  const generate = async (request) => {
+    for (;;) {
+      const candidate = candidates[index];
+      let streamed = false;
+      const onToken = request.onToken && (token => {
+        streamed = true;
+        request.onToken(token);
+      });
+      const onUsage = request.onUsage && (usage => request.onUsage({ provider: candidate.provider, model: candidate.model, ...usage }));
+
+      try {
+        const text = await withRetry(async () => {
+          if (!generators.has(candidate)) {
+            generators.set(candidate, await createGenerator(candidate.provider, candidate));
+          }
+          return generators.get(candidate)({ ...request, onToken, onUsage });
+        }, {
+          ...retry,
+          signal: request.signal,
+          canRetry: () => !streamed,
+          onRetry: event => onRetry && onRetry({ provider: candidate.provider, ...event })
+        });
+        generate.used = candidate;
+        return text;
+      } catch (error) {
+        const next = candidates[index + 1];
+        if (!next || streamed || request.signal?.aborted || !isTransientError(error)) {
+          throw error;
+        }
+        console.error(`${candidate.provider} unavailable (${error.message}), failing over to ${next.provider}`);
+        index++;
+        if (onFailover) {
+          onFailover({ from: candidate.provider, to: next.provider, model: next.model, error });
+        }
+      }
+    }
+  };
+
+  generate.used = candidates[0];
+  return generate;
+}
+
+function truncatedError(partialText) {
+  const error = new Error('Response was truncated due to token limit.');
+  error.code = 'MAX_TOKENS';
+  error.partialText = partialText;
+  return error;
+}
+
+/**
+ * Create a text generator backed by an OpenAI-style chat completions API.
+ * jsonMode picks how a JSON schema is requested: json_schema (strict
+ * structured outputs), json_object, or none (the prompt alone asks for JSON).
+ */
+function createOpenAIGenerator({ apiKey, model, baseURL, jsonMode = 'json_schema' }) {
+  // Retries are left to createResilientGenerator
+  const openai = new OpenAI({ apiKey, baseURL, maxRetries: 0 });
+
+  return async ({ system, prompt, schema, maxTokens, onToken, onUsage, signal }) => {
+    const messages = [];
+    if (system) {
+      messages.push({ role: 'system', content: system });
+    }
+    messages.push({ role: 'user', content: prompt });
+
+    const request = {
+      model,
+      messages,
+      temperature: 0.7,
+      max_tokens: maxTokens
+    };
+    if (schema && jsonMode === 'json_schema') {
+      request.response_format = {
+        type: 'json_schema',
+        json_schema: { name: 'video_summary', strict: true, schema }
+      };
+    } else if (schema && jsonMode === 'json_object') {
+      request.response_format = { type: 'json_object' };
+    }
+
+    let choice;
+    let usage;
+    try {
+      if (onToken) {
+        // Stream the response, passing each content delta on as it arrives; usage comes in a last chunk
+        const stream = await openai.chat.completions.create({ ...request, stream: true, stream_options: { include_usage: true } }, { signal });
+        choice = { message: { content: '', refusal: null }, finish_reason: null };
+        for await (const chunk of stream) {
+          usage = chunk.usage || usage;
+          const delta = chunk.choices[0]?.delta || {};
+          if (delta.content) {
+            choice.message.content += delta.content;
+            onToken(delta.content);
+          }
+          if (delta.refusal) {
+            choice.message.refusal = (choice.message.refusal || '') + delta.refusal;
+          }
+          choice.finish_reason = chunk.choices[0]?.finish_reason || choice.finish_reason;
+        }
+      } else {
+        const response = await openai.chat.completions.create(request, { signal });
+        choice = response.choices[0];
+        usage = response.usage;
+      }
+    } catch (error) {
+      throw openAIError(error);
+    }
+
+    if (usage && onUsage) {
+      onUsage({ inputTokens: usage.prompt_tokens || 0, outputTokens: usage.completion_tokens || 0 });
+    }
+
+    if (choice.message.refusal) {
+      throw new Error(`OpenAI refused to summarize: ${choice.message.refusal}`);
+    }
+    if (choice.finish_reason === 'length') {
+      throw truncatedError(choice.message.content);
+    }
+
+    return choice.message.content;
+  };
+}
+
+/**
+ * Validate the Gemini API key and model once, then create a text generator
+ * With a JSON schema, JSON output constrained to the schema is requested
+ */
+async function createGeminiGenerator({ apiKey, model }) {
+  // First, check if the API key is valid by testing a simple request
+  console.log('Validating Gemini API key...');
+  const testResponse = await fetch(`https://generativelanguage.googleapis.com/v1beta/models?key=${apiKey}`);
+  if (!testResponse.ok) {
+    const errorData = await testResponse.json().catch(() => ({}));
+    throw apiError(`Invalid Gemini API key: ${errorData.error?.message || 'Unknown error'}`, testResponse, errorData);
+  }
+
+  const modelsData = await testResponse.json();
+  console.log('Available Gemini models:', modelsData.models?.map(m => m.name).join(', ') || 'No models found');
+
+  // Find a working text generation model (not embedding models)
+  const availableModels = modelsData.models?.map(m => m.name.replace('models/', '')) || [];
+  console.log('Parsed available models:', availableModels.slice(0, 10).join(', ') + '...'); // Show first 10
+
+  // Only use the selected Gemini model - no fallbacks
+  if (!availableModels.includes(model)) {
+    throw new Error(`Required model '${model}' is not available. Please check your Gemini API access.`);
+  }
+
+  console.log(`Using Gemini model: ${model}`);
+
+  return async ({ system, prompt, schema, maxTokens, onToken, onUsage, signal }) => {
+    const body = {
+      contents: [{
+        parts: [{
+          text: prompt
+        }]
+      }],
+      generationConfig: {
+        temperature: 0.7,
+        maxOutputTokens: maxTokens,
+      }
+    };
+    if (system) {
+      body.systemInstruction = { parts: [{ text: system }] };
+    }
+    if (schema) {
+      body.generationConfig.responseMimeType = 'application/json';
+      body.generationConfig.responseSchema = toGeminiSchema(schema);
+    }
+
+    const { text, finishReason, usage } = await generateGeminiContent(model, apiKey, body, { onToken, signal });
+    if (usage && onUsage) {
+      onUsage(usage);
+    }
+
+    // Check if response was truncated
+    if (finishReason === 'MAX_TOKENS') {
+      throw truncatedError(text);
+    }
+
+    if (!text) {
+      throw new Error('Gemini API returned incomplete response');
+    }
+    return text;
+  };
+}
+
+/**
+ * Tokens of a Gemini response from its usageMetadata; thinking tokens are
+ * billed as output
+ */
+function geminiUsage(usageMetadata) {
+  if (!usageMetadata) {
+    return null;
+  }
+  return {
+    inputTokens: usageMetadata.promptTokenCount || 0,
+    outputTokens: (usageMetadata.candidatesTokenCount || 0) + (usageMetadata.thoughtsTokenCount || 0)
+  };
+}
+
+/**
+ * Call Gemini generateContent and return the first candidate as
+ * { text, finishReason, usage }, usage being { inputTokens, outputTokens }
+ * or null. With onToken, the response is streamed (streamGenerateContent
+ * over SSE) and each text delta is passed on.
+ */
+async function generateGeminiContent(model, apiKey, body, { onToken, signal } = {}) {
+  const method = onToken ? 'streamGenerateContent?alt=sse&' : 'generateContent?';
+  const response = await fetch(`https://generativelanguage.googleapis.com/v1beta/models/${model}:${method}key=${apiKey}`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify(body),
+    signal
+  });
+
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    console.log('Gemini API error response:', errorData);
+    throw apiError(`Gemini API error: ${response.status} ${response.statusText} - ${errorData.error?.message || JSON.stringify(errorData)}`, response, errorData);
+  }
+
+  const candidateText = candidate => candidate?.content?.parts?.map(part => part.text || '').join('') || '';
+
+  if (!onToken) {
+    const data = await response.json();
+    if (!data.candidates || !data.candidates[0]) {
+      console.error('Unexpected response structure:', data);
+      throw new Error('Unexpected Gemini API response format');
+    }
+    return { text: candidateText(data.candidates[0]), finishReason: data.candidates[0].finishReason, usage: geminiUsage(data.usageMetadata) };
+  }
+
+  let text = '';
+  let finishReason = null;
+  let usageMetadata = null;
+  for await (const data of readEventStream(response.body)) {
+    const event = JSON.parse(data);
+    if (event.error) {
+      throw Object.assign(
+        new Error(`Gemini API error: ${event.error.code || ''} ${event.error.message || JSON.stringify(event.error)}`),
+        { providerStatus: event.error.code }
+      );
+    }
+    const candidate = event.candidates?.[0];
+    const delta = candidateText(candidate);
+    if (delta) {
+      text += delta;
+      onToken(delta);
+    }
+    finishReason = candidate?.finishReason || finishReason;
+    // Each event carries the usage so far
+    usageMetadata = event.usageMetadata || usageMetadata;
+  }
+
+  return { text, finishReason, usage: geminiUsage(usageMetadata) };
+}
+
+/**
+ * Create a text generator backed by the Anthropic Messages API
+ * With a JSON schema, the model is made to call a tool whose input is the
+ * JSON object, and the tool input is returned as the text
+ */
+function createAnthropicGenerator({ apiKey, model }) {
+  return async ({ system, prompt, schema, maxTokens, onToken, onUsage, signal }) => {
+    const body = {
+      model,
+      max_tokens: maxTokens,
+      temperature: 0.7,
+      messages: [{ role: 'user', content: prompt }]
+    };
+    if (system) {
+      body.system = system;
+    }
+    if (schema) {
+      body.tools = [{ name: 'video_summary', description: 'Record the structured summary.', input_schema: schema }];
+      body.tool_choice = { type: 'tool', name: 'video_summary' };
+    }
+    if (onToken) {
+      body.stream = true;
+    }
+
+    const response = await fetch(ANTHROPIC_API_URL, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'x-api-key': apiKey,
+        'anthropic-version': ANTHROPIC_VERSION
+      },
+      body: JSON.stringify(body),
+      signal
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw apiError(`Anthropic API error: ${response.status} ${response.statusText} - ${errorData.error?.message || JSON.stringify(errorData)}`, response, errorData);
+    }
+
+    let text = '';
+    let stopReason = null;
+    let usage = null;
+    if (!onToken) {
+      const data = await response.json();
+      text = data.content
+        .map(block => (block.type === 'tool_use' ? JSON.stringify(block.input) : block.text || ''))
+        .join('');
+      stopReason = data.stop_reason;
+      usage = data.usage;
+    } else {
+      // Tool input streams as partial JSON, plain answers as text deltas
+      for await (const data of readEventStream(response.body)) {
+        const event = JSON.parse(data);
+        if (event.type === 'error') {
+          // An overloaded_error mid-stream is what a 529 is before it
+          throw Object.assign(
+            new Error(`Anthropic API error: ${event.error?.type || ''} ${event.error?.message || JSON.stringify(event.error)}`),
+            { providerStatus: event.error?.type === 'overloaded_error' ? 529 : undefined }
+          );
+        }
+        if (event.type === 'content_block_delta') {
+          const delta = event.delta.type === 'input_json_delta' ? event.delta.partial_json : event.delta.text;
+          if (delta) {
+            text += delta;
+            onToken(delta);
+          }
+        } else if (event.type === 'message_start') {
+          usage = { ...event.message?.usage };
+        } else if (event.type === 'message_delta') {
+          stopReason = event.delta?.stop_reason || stopReason;
+          // The output token count so far
+          usage = { ...usage, ...event.usage };
+        }
+      }
+    }
+
+    if (usage && onUsage) {
+      onUsage({ inputTokens: usage.input_tokens || 0, outputTokens: usage.output_tokens || 0 });
+    }
+
+    if (stopReason === 'max_tokens') {
+      throw truncatedError(text);
+    }
+    if (!text) {
+      throw new Error('Anthropic API returned an empty response');
+    }
+    return text;
+  };
+}
+
+/**
+ * Register a provider for an OpenAI-compatible server (Ollama, vLLM,
+ * LM Studio, ...). Its key, if any, only comes from `keyEnv` on the server.
+ */
+function registerOpenAICompatibleProvider(name, { label, baseUrl, keyEnv, defaultModel, models = [], jsonMode }) {
+  if (!baseUrl || !(defaultModel || models[0])) {
+    throw new Error(`OpenAI-compatible provider "${name}" needs a base URL and a model`);
+  }
+  registerProvider(name, {
+    label,
+    keyEnv,
+    requiresKey: false,
+    defaultModel: defaultModel || models[0],
+    models,
+    selfHosted: true,
+    // The SDK needs some key; local servers usually ignore it
+    createGenerator: ({ apiKey, model }) => createOpenAIGenerator({
+      apiKey: apiKey || 'none',
+      model,
+      baseURL: baseUrl,
+      jsonMode
+    })
+  });
+}
+
+registerProvider('openai', {
+  label: 'OpenAI',
+  keyEnv: 'OPENAI_API_KEY',
+  keyField: 'openaiKey',
+  defaultModel: process.env.OPENAI_MODEL || 'gpt-4o-mini',
+  models: envList('OPENAI_MODELS'),
+  createGenerator: createOpenAIGenerator
+});
+
+registerProvider('gemini', {
+  label: 'Google Gemini',
+  keyEnv: 'GEMINI_API_KEY',
+  keyField: 'geminiKey',
+  defaultModel: process.env.GEMINI_MODEL || 'gemini-2.5-flash',
+  models: envList('GEMINI_MODELS'),
+  createGenerator: createGeminiGenerator
+});
+
+registerProvider('anthropic', {
+  label: 'Anthropic',
+  keyEnv: 'ANTHROPIC_API_KEY',
+  keyField: 'anthropicKey',
+  defaultModel: process.env.ANTHROPIC_MODEL || 'claude-3-5-haiku-latest',
+  models: envList('ANTHROPIC_MODELS'),
+  createGenerator: createAnthropicGenerator
+});
+
+// A self-hosted model server, e.g. OPENAI_COMPATIBLE_BASE_URL=http://localhost:11434/v1 for Ollama
+if (process.env.OPENAI_COMPATIBLE_BASE_URL) {
+  registerOpenAICompatibleProvider('openai-compatible', {
+    label: process.env.OPENAI_COMPATIBLE_LABEL || 'Self-hosted',
+    baseUrl: process.env.OPENAI_COMPATIBLE_BASE_URL,
+    keyEnv: 'OPENAI_COMPATIBLE_API_KEY',
+    defaultModel: process.env.OPENAI_COMPATIBLE_MODEL,
+    models: envList('OPENAI_COMPATIBLE_MODELS'),
+    jsonMode: process.env.OPENAI_COMPATIBLE_JSON_MODE || 'json_schema'
+  });
+}
+
+module.exports = {
+  registerProvider,
+  registerOpenAICompatibleProvider,
+  getProvider,
+  listProviders,
+  resolveModel,
+  createGenerator,
+  createResilientGenerator,
+  generateGeminiContent
+};
@@ -0,0 +1,194 @@
+/**
+ * Questions about a video: retrieving the transcript passages relevant to a
+ * question and turning the [m:ss] citations in an answer into links
+ *
+ * A passage is { index, start, end, text, segments }: consecutive transcript
+ * segments (see lib/transcript.js) grouped into a few hundred characters.
+ */
+
+const { parseTimestamp, formatTimedTranscript, youtubeTimestampUrl } = require('./transcript');
+const { formatText } = require('./summary');
+const { sanitizeHtml } = require('./sanitize');
+
+const PASSAGE_CHARS = 800;
+
+// Short transcripts are sent whole instead of retrieving passages
+const FULL_TRANSCRIPT_CHARS = 12000;
+
+// A citation may point slightly outside the passage it quotes
+const CITATION_TOLERANCE_SECONDS = 5;
+
+const STOP_WORDS = new Set([
+  'a', 'about', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'can', 'did', 'do', 'does',
+  'for', 'from', 'he', 'how', 'in', 'is', 'it', 'its', 'of', 'on', 'or', 'she', 'so', 'that',
+  'the', 'their', 'they', 'this', 'to', 'video', 'was', 'we', 'were', 'what', 'when', 'where',
+  'which', 'who', 'why', 'will', 'with', 'you', 'your'
+]);
+
+// BM25 parameters
+const K1 = 1.2;
+const B = 0.75;
+
+/**
+ * Split text into lowercase search terms, without stop words and plural -s
+ */
+function tokenize(text) {
+  return (text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+    .filter(term => term.length > 1 && !STOP_WORDS.has(term))
+    .map(term => (term.length > 3 ? term.replace(/s$/, '') : term));
+}
+
+/**
+ * Group timed segments into passages of roughly `maxChars` characters
+ */
+function buildPassages(segments, { maxChars = PASSAGE_CHARS } = {}) {
+  const passages = [];
+  let current = null;
+
+  for (const seg of segments) {
+    if (!current || current.text.length >= maxChars) {
+      current = { index: passages.length, start: seg.start, end: seg.end, text: '', segments: [] };
+      passages.push(current);
+    }
+    current.segments.push(seg);
+    current.text = current.text ? `${current.text} ${seg.text}` : seg.text;
+    current.end = Math.max(current.end, seg.end);
+  }
+
+  return passages;
+}
+
+/**
+ * Pick the passages most relevant to `query` (BM25), each with its
+ * neighbours for context, in video order. Short transcripts are returned
+ * whole; when no passage matches, passages spread over the video are used.
+ */
+function retrievePassages(passages, query, { limit = 6, neighbors = 1, fullTextChars = FULL_TRANSCRIPT_CHARS } = {}) {
+  const totalChars = passages.reduce((total, passage) => total + passage.text.length, 0);
+  if (totalChars <= fullTextChars) {
+    return passages;
+  }
+
+  const documents = passages.map(passage => tokenize(passage.text));
+  const averageLength = documents.reduce((total, terms) => total + terms.length, 0) / documents.length || 1;
+  const documentFrequency = new Map();
+  for (const terms of documents) {
+    for (const term of new Set(terms)) {
+      documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+    }
+  }
+
+  const queryTerms = [...new Set(tokenize(query))];
+  const scored = documents.map((terms, index) => {
+    let score = 0;
+    for (const term of queryTerms) {
+      const frequency = terms.filter(t => t === term).length;
+      if (frequency > 0) {
+        const df = documentFrequency.get(term);
+        const idf = Math.log(1 + (documents.length - df + 0.5) / (df + 0.5));
+        score += idf * (frequency * (K1 + 1)) / (frequency + K1 * (1 - B + B * terms.length / averageLength));
+      }
+    }
+    return { index, score };
+  });
+
+  let hits = scored.filter(hit => hit.score > 0).sort((a, b) => b.score - a.score).slice(0, limit).map(hit => hit.index);
+  if (hits.length === 0) {
+    const step = passages.length / limit;
+    hits = Array.from({ length: Math.min(limit, passages.length) }, (_, i) => Math.floor(i * step));
+  }
+
+  const selected = new Set();
+  for (const index of hits) {
+    for (let i = Math.max(0, index - neighbors); i <= Math.min(passages.length - 1, index + neighbors); i++) {
+      selected.add(i);
+    }
+  }
+  return [...selected].sort((a, b) => a - b).map(index => passages[index]);
+}
+
+// [m:ss] or [h:mm:ss], optionally several in one bracket: [1:23, 4:56]
+const CITATION_PATTERN = /\[((?:\d+:)?\d{1,2}:\d{2}(?:\s*[,;]\s*(?:\d+:)?\d{1,2}:\d{2})*)\]/g;
+
+/**
+ * Find the timestamps cited in an answer that fall inside one of the
+ * passages the model was given. Returns { timestamp, start, url, text }
+ * per distinct timestamp, in order of first citation.
+ */
+function extractCitations(answer, passages, videoId) {
+  const citations = new Map();
+
+  for (const match of answer.matchAll(CITATION_PATTERN)) {
+    for (const timestamp of match[1].split(/\s*[,;]\s*/)) {
+      const start = parseTimestamp(timestamp);
+      const passage = passages.find(p =>
+        start >= p.start - CITATION_TOLERANCE_SECONDS && start <= p.end + CITATION_TOLERANCE_SECONDS
+      );
+      if (passage && !citations.has(timestamp)) {
+        citations.set(timestamp, {
+          timestamp,
+          start,
+          url: youtubeTimestampUrl(videoId, start),
+          text: passage.text
+        });
+      }
+    }
+  }
+
+  return [...citations.values()];
+}
+
+/**
+ * Render an answer as a sanitized HTML fragment: paragraphs and "- " lists, with
+ * cited timestamps linked to that moment of the video. Timestamps that
+ * match no citation are left as plain text.
+ */
+function renderAnswerHTML(answer, citations) {
+  const links = new Map(citations.map(citation => [citation.timestamp, citation.url]));
+  const linkTimestamps = html => html.replace(CITATION_PATTERN, (bracket, list) => list
+    .split(/\s*[,;]\s*/)
+    .map(timestamp => (links.has(timestamp)
+      ? `<a href="${links.get(timestamp)}" class="timestamp-link" target="_blank">▶ ${timestamp}</a>`
+      : `[${timestamp}]`))
+    .join(' '));
+
+  const blocks = [];
+  let current = null;
+  for (const line of answer.trim().split('\n').map(text => text.trim())) {
+    const bullet = line.match(/^[-*•]\s+(.*)$/);
+    const type = !line ? null : bullet ? 'ul' : 'p';
+    if (type !== current?.type) {
+      current = type ? { type, lines: [] } : null;
+      if (current) {
+        blocks.push(current);
+      }
+    }
+    if (current) {
+      current.lines.push(linkTimestamps(formatText(bullet ? bullet[1] : line)));
+    }
+  }
+
+  return sanitizeHtml(blocks.map(block => (block.type === 'ul'
+    ? `<ul>\n${block.lines.map(line => `<li>${line}</li>`).join('\n')}\n</ul>`
+    : `<p>${block.lines.join('<br>')}</p>`)).join('\n'));
+}
+
+/**
+ * Format passages as [m:ss] transcript lines for a prompt, marking the gaps
+ * between passages that are not consecutive
+ */
+function formatPassages(passages) {
+  return passages.map((passage, i) => {
+    const lines = formatTimedTranscript(passage.segments);
+    return i > 0 && passages[i - 1].index !== passage.index - 1 ? `…\n${lines}` : lines;
+  }).join('\n');
+}
+
+module.exports = {
+  tokenize,
+  buildPassages,
+  retrievePassages,
+  extractCitations,
+  renderAnswerHTML,
+  formatPassages
+};
@@ -0,0 +1,98 @@
+/**
+ * Retries with exponential backoff for transient AI provider errors
+ *
+ * Provider errors carry providerStatus (the HTTP status of the failed API
+ * call) and, when the provider said how long to wait, retryAfterMs.
+ */
+
+const { setTimeout: sleep } = require('timers/promises');
+
+// Rate limits, timeouts, server errors and Anthropic's 529 "overloaded"
+const TRANSIENT_STATUSES = [408, 425, 429, 500, 502, 503, 504, 529];
+const NETWORK_ERROR_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE', 'UND_ERR_SOCKET', 'UND_ERR_CONNECT_TIMEOUT'];
+
+const DEFAULT_RETRY_OPTIONS = {
+  retries: 2,
+  baseDelayMs: 1000,
+  maxDelayMs: 30000
+};
+
+/**
+ * Whether an error is worth retrying: overloaded or rate-limited providers
+ * and dropped connections, but not bad requests, bad keys or truncation
+ */
+function isTransientError(error) {
+  if (!error || error.name === 'AbortError' || error.code === 'MAX_TOKENS') {
+    return false;
+  }
+  if (error.providerStatus) {
+    return TRANSIENT_STATUSES.includes(error.providerStatus);
+  }
+  const code = error.code || error.cause?.code;
+  return NETWORK_ERROR_CODES.includes(code) || /overloaded|fetch failed|socket hang up|connection error|timed out/i.test(error.message);
+}
+
+/**
+ * Parse a Retry-After value (seconds or an HTTP date) or a Google
+ * retryDelay ("12.5s") into milliseconds; null if there is none
+ */
+function parseRetryAfter(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const seconds = String(value).match(/^\s*(\d+(?:\.\d+)?)s?\s*$/);
+  if (seconds) {
+    return Math.round(Number(seconds[1]) * 1000);
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Delay before retry number `attempt` (0-based): a random wait up to the
+ * exponential backoff ("full jitter"), so clients do not retry in lockstep
+ */
+function backoffDelay(attempt, { baseDelayMs, maxDelayMs }) {
+  return Math.random() * Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+}
+
+/**
+ * Call fn(attempt) until it succeeds, retrying transient errors up to
+ * `retries` times. A provider's Retry-After is honoured; if it asks for
+ * longer than maxDelayMs the error is thrown instead. canRetry(error) can
+ * veto a retry, and onRetry({ attempt, delayMs, error }) is told about each.
+ */
+async function withRetry(fn, { retries, baseDelayMs, maxDelayMs, signal, canRetry, onRetry } = {}) {
+  const options = {
+    retries: retries ?? DEFAULT_RETRY_OPTIONS.retries,
+    baseDelayMs: baseDelayMs ?? DEFAULT_RETRY_OPTIONS.baseDelayMs,
+    maxDelayMs: maxDelayMs ?? DEFAULT_RETRY_OPTIONS.maxDelayMs
+  };
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      if (attempt >= options.retries || signal?.aborted || !isTransientError(error) || (canRetry && !canRetry(error))) {
+        throw error;
+      }
+      const delayMs = Math.round(error.retryAfterMs ?? backoffDelay(attempt, options));
+      if (delayMs > options.maxDelayMs) {
+        throw error;
+      }
+      console.log(`Transient error (${error.message}), retrying in ${delayMs}ms (attempt ${attempt + 1}/${options.retries})`);
+      if (onRetry) {
+        onRetry({ attempt: attempt + 1, delayMs, error });
+      }
+      await sleep(delayMs, undefined, { signal });
+    }
+  }
+}
+
+module.exports = {
+  DEFAULT_RETRY_OPTIONS,
+  isTransientError,
+  parseRetryAfter,
+  backoffDelay,
+  withRetry
+};
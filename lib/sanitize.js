@@ -0,0 +1,168 @@
+/**
+ * Allowlist HTML sanitizer for fragments built from model output
+ *
+ * The renderers escape model text already; this is the last line of defence
+ * before a fragment reaches a page or the browser's innerHTML. Tags outside
+ * ALLOWED_TAGS are dropped (keeping their text, except for elements such as
+ * <script> whose content is dropped too), attributes outside ALLOWED_ATTRIBUTES
+ * are dropped, and links may only point to http(s), mailto or this site.
+ */
+
+const ALLOWED_TAGS = new Set([
+  'a', 'p', 'br', 'ul', 'ol', 'li', 'strong', 'em', 'b', 'i', 'code', 'pre',
+  'blockquote', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'span', 'div'
+]);
+
+// Attributes allowed on every allowed tag, and on particular tags
+const ALLOWED_ATTRIBUTES = {
+  '*': ['class'],
+  a: ['href', 'target']
+};
+
+// Elements removed together with everything inside them
+const DROPPED_ELEMENTS = new Set(['script', 'style', 'iframe', 'object', 'embed', 'template', 'noscript', 'textarea', 'title', 'svg', 'math']);
+
+const VOID_TAGS = new Set(['br']);
+
+const TOKEN_PATTERN = /<!--[\s\S]*?(?:-->|$)|<(\/?)([a-zA-Z][\w-]*)((?:[^>"']|"[^"]*"|'[^']*')*)>|<[!?][^>]*>|[^<]+|</g;
+const ATTRIBUTE_PATTERN = /([^\s"'<>\/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+const ENTITY_PATTERN = /&(?:#\d+|#x[\da-f]+|[a-z][\da-z]*);/gi;
+const NAMED_ENTITIES = { '&amp;': '&', '&quot;': '"', '&#39;': "'", '&apos;': "'", '&lt;': '<', '&gt;': '>' };
+
+function escapeText(text) {
+  return text
+    .replace(/&(?!(?:#\d+|#x[\da-f]+|[a-z][\da-z]*);)/gi, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+function escapeAttribute(value) {
+  return value
+    .replace(/&/g, '&amp;')
+    .replace(/"/g, '&quot;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+/**
+ * Decode the entities an attribute value may contain, so URLs are checked
+ * as the browser will read them
+ */
+function decodeAttribute(value) {
+  return value.replace(ENTITY_PATTERN, (entity) => {
+    const lower = entity.toLowerCase();
+    if (NAMED_ENTITIES[lower]) {
+      return NAMED_ENTITIES[lower];
+    }
+    if (!lower.startsWith('&#')) {
+      return entity;
+    }
+    const code = lower[2] === 'x' ? parseInt(lower.slice(3, -1), 16) : parseInt(lower.slice(2, -1), 10);
+    return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : '';
+  });
+}
+
+/**
+ * Whether a link target is safe: an http(s) or mailto URL, or a path,
+ * query or fragment on this site
+ */
+function isSafeUrl(value) {
+  // Browsers ignore control characters and whitespace inside a scheme ("java\tscript:")
+  const url = value.replace(/[\u0000-\u0020\u007f]/g, '');
+  if (/^(?:https?|mailto):/i.test(url)) {
+    return true;
+  }
+  // Browsers read backslashes as slashes, so "\\evil.com" and "/\\evil.com" lead off the site like "//evil.com"
+  return !/^[a-z][a-z\d+.-]*:/i.test(url) && !/^[/\\]{2}/.test(url);
+}
+
+/**
+ * The allowed attributes of a tag, rebuilt with their values escaped
+ */
+function sanitizeAttributes(tag, source) {
+  const allowed = [...ALLOWED_ATTRIBUTES['*'], ...(ALLOWED_ATTRIBUTES[tag] || [])];
+  const attributes = new Map();
+  for (const match of source.matchAll(ATTRIBUTE_PATTERN)) {
+    const name = match[1].toLowerCase();
+    if (!allowed.includes(name) || attributes.has(name)) {
+      continue;
+    }
+    const value = decodeAttribute(match[2] ?? match[3] ?? match[4] ?? '');
+    if (name === 'href' && !isSafeUrl(value)) {
+      continue;
+    }
+    if (name === 'target' && value !== '_blank') {
+      continue;
+    }
+    attributes.set(name, value);
+  }
+  // Pages opened in a new tab get no handle on this one
+  if (attributes.get('target') === '_blank') {
+    attributes.set('rel', 'noopener noreferrer');
+  }
+  return Array.from(attributes, ([name, value]) => ` ${name}="${escapeAttribute(value)}"`).join('');
+}
+
+/**
+ * Sanitize an HTML fragment against the allowlist. Unclosed allowed tags are
+ * closed at the end, so a fragment cannot swallow the page around it.
+ */
+function sanitizeHtml(html) {
+  const output = [];
+  const open = [];
+  let dropping = null;
+
+  for (const [token, closing, rawTag = '', attributes = ''] of String(html ?? '').matchAll(TOKEN_PATTERN)) {
+    const tag = rawTag.toLowerCase();
+
+    if (dropping) {
+      if (closing && tag === dropping) {
+        dropping = null;
+      }
+      continue;
+    }
+    if (!tag) {
+      // Comments, doctypes and processing instructions are dropped; text is kept
+      if (!token.startsWith('<') || token === '<') {
+        output.push(escapeText(token));
+      }
+      continue;
+    }
+    if (DROPPED_ELEMENTS.has(tag)) {
+      if (!closing && !attributes.trim().endsWith('/')) {
+        dropping = tag;
+      }
+      continue;
+    }
+    if (!ALLOWED_TAGS.has(tag)) {
+      continue;
+    }
+
+    if (VOID_TAGS.has(tag)) {
+      if (!closing) {
+        output.push(`<${tag}>`);
+      }
+    } else if (closing) {
+      const index = open.lastIndexOf(tag);
+      if (index >= 0) {
+        // Close anything left open inside it too
+        for (const inner of open.splice(index).reverse()) {
+          output.push(`</${inner}>`);
+        }
+      }
+    } else {
+      open.push(tag);
+      output.push(`<${tag}${sanitizeAttributes(tag, attributes)}>`);
+    }
+  }
+
+  for (const tag of open.reverse()) {
+    output.push(`</${tag}>`);
+  }
+  return output.join('');
+}
+
+module.exports = {
+  sanitizeHtml,
+  isSafeUrl
+};
@@ -0,0 +1,288 @@
+/**
+ * Video source adapter registry
+ *
+ * An adapter is { name, label, kind, color, linkLabel, match, ... } where
+ * match(input) returns the video's ID within the source, or null, and color
+ * and linkLabel style its summary page. There are two kinds:
+ * - transcript: fetchMetadata(id, { youtubeKey }) resolves to
+ *   { title, author, ... } or null if there is no such video, and
+ *   fetchTranscript(id, { languages }) to { segments, language } or null
+ * - media: resolveMedia(id, url, { signal }) resolves to
+ *   { title, author, text, duration, mediaUrl, url } where mediaUrl is a
+ *   video file a model can watch and text is the post's own words. A post
+ *   without a video throws an error with code NO_MEDIA.
+ *
+ * detectSource tries adapters in the order they were registered.
+ */
+
+const axios = require('axios');
+const { hashKey } = require('./cache');
+const { PUBLIC_ONLY } = require('./network');
+const { decodeEntities } = require('./transcript');
+const { parseYouTubeUrl, fetchVideoMetadata, fetchTranscript } = require('./youtube');
+
+const USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36';
+
+const sources = new Map();
+
+/**
+ * Register a source adapter
+ */
+function registerSource(name, { label = name, kind, color = '#667eea', linkLabel = `View on ${label}`, match, ...adapter }) {
+  if (!match || !['transcript', 'media'].includes(kind)) {
+    throw new Error(`Video source "${name}" must define match and a kind of "transcript" or "media"`);
+  }
+  if (kind === 'media' && !adapter.resolveMedia) {
+    throw new Error(`Media source "${name}" must define resolveMedia`);
+  }
+  if (kind === 'transcript' && !(adapter.fetchMetadata && adapter.fetchTranscript)) {
+    throw new Error(`Transcript source "${name}" must define fetchMetadata and fetchTranscript`);
+  }
+  sources.set(name, { name, label, kind, color, linkLabel, match, ...adapter });
+}
+
+/**
+ * Look up a source adapter; throws (code UNKNOWN_SOURCE) if there is none
+ */
+function getSource(name) {
+  const source = sources.get(name);
+  if (!source) {
+    throw Object.assign(new Error(`Unknown video source "${name}"`), { code: 'UNKNOWN_SOURCE' });
+  }
+  return source;
+}
+
+/**
+ * Find the adapter for a URL or ID. Returns { source, id }, or null when no
+ * adapter recognizes the input.
+ */
+function detectSource(input) {
+  const value = String(input || '').trim();
+  for (const source of sources.values()) {
+    const id = value && source.match(value);
+    if (id) {
+      return { source, id };
+    }
+  }
+  return null;
+}
+
+function listSources() {
+  return Array.from(sources.values()).map(({ name, label, kind }) => ({ name, label, kind }));
+}
+
+/**
+ * Matcher returning the first capture group of `pattern` that matched
+ */
+function matchUrl(pattern) {
+  return (input) => {
+    const match = input.match(pattern);
+    return match ? match.slice(1).find(Boolean) || null : null;
+  };
+}
+
+function noMedia(message) {
+  return Object.assign(new Error(message), { code: 'NO_MEDIA' });
+}
+
+/**
+ * Read the <meta property|name="..." content="..."> tags of an HTML page
+ */
+function readMetaTags(html) {
+  const tags = new Map();
+  for (const [tag] of html.matchAll(/<meta\b[^>]*>/gi)) {
+    const key = tag.match(/\b(?:property|name)=["']([^"']+)["']/i);
+    const content = tag.match(/\bcontent=["']([^"']*)["']/i);
+    if (key && content && !tags.has(key[1])) {
+      tags.set(key[1], decodeEntities(content[1]));
+    }
+  }
+  return tags;
+}
+
+registerSource('youtube', {
+  label: 'YouTube',
+  kind: 'transcript',
+  color: '#ff0000',
+  linkLabel: 'Watch on YouTube',
+  // A bare video ID, or a watch, youtu.be, Shorts, live or embed URL
+  match: input => parseYouTubeUrl(input)?.videoId || null,
+  // youtubei.js metadata, enriched from the Data API when there is a key
+  fetchMetadata: (id, { youtubeKey } = {}) => fetchVideoMetadata(id, { apiKey: youtubeKey }),
+  fetchTranscript: (id, { languages } = {}) => fetchTranscript(id, languages)
+});
+
+// fxtwitter.com serves tweet data and video URLs without authentication
+registerSource('twitter', {
+  label: 'Twitter/X',
+  kind: 'media',
+  color: '#1da1f2',
+  match: matchUrl(/(?:^|\/\/|\.)(?:twitter|x)\.com\/[^?#]*status\/(\d+)/),
+  resolveMedia: async (id, url, { signal } = {}) => {
+    const fxUrl = `https://api.fxtwitter.com/status/${id}`;
+    console.log('Fetching tweet data from fxtwitter:', fxUrl);
+    const response = await axios.get(fxUrl, {
+      headers: { 'User-Agent': USER_AGENT },
+      signal,
+      timeout: 15000
+    });
+
+    const tweet = response.data.tweet;
+    if (!tweet) {
+      throw new Error('Could not fetch tweet data');
+    }
+
+    // Take the first video, from `videos` or else the `all` media array
+    let mediaUrl = null;
+    let duration = null;
+    if (tweet.media?.videos && tweet.media.videos.length > 0) {
+      const video = tweet.media.videos[0];
+      mediaUrl = video.url || (video.variants && video.variants[video.variants.length - 1]?.url);
+      duration = video.duration || null;
+    } else {
+      const video = (tweet.media?.all || []).find(media => media.type === 'video' && media.url);
+      mediaUrl = video?.url || null;
+      duration = video?.duration || null;
+    }
+    if (!mediaUrl) {
+      throw noMedia('No video found in this tweet. Make sure the tweet contains a video.');
+    }
+
+    const authorName = tweet.author?.name || 'Unknown';
+    return {
+      title: `Twitter Video by @${authorName}`,
+      author: `@${authorName}`,
+      text: tweet.text || '',
+      duration,
+      mediaUrl,
+      url
+    };
+  }
+});
+
+// tikwm.com resolves TikTok posts (including short links) to a watermark-free video
+registerSource('tiktok', {
+  label: 'TikTok',
+  kind: 'media',
+  color: '#fe2c55',
+  match: matchUrl(/tiktok\.com\/(?:@[\w.-]+\/video\/(\d+)|t\/(\w+))|(?:vm|vt)\.tiktok\.com\/(\w+)/),
+  resolveMedia: async (id, url, { signal } = {}) => {
+    const response = await axios.get('https://www.tikwm.com/api/', {
+      ...PUBLIC_ONLY,
+      params: { url },
+      headers: { 'User-Agent': USER_AGENT },
+      signal,
+      timeout: 15000
+    });
+
+    const video = response.data?.data;
+    if (response.data?.code !== 0 || !video) {
+      throw new Error(`Could not fetch TikTok data: ${response.data?.msg || 'unknown error'}`);
+    }
+    if (!video.play) {
+      throw noMedia('No video found in this TikTok post. Photo posts cannot be summarized.');
+    }
+
+    const author = video.author?.unique_id ? `@${video.author.unique_id}` : video.author?.nickname || 'Unknown';
+    return {
+      title: `TikTok Video by ${author}`,
+      author,
+      text: video.title || '',
+      duration: video.duration || null,
+      mediaUrl: new URL(video.play, 'https://www.tikwm.com').href,
+      url
+    };
+  }
+});
+
+// Public reels carry their video in Open Graph tags, which Instagram serves to link previewers
+registerSource('instagram', {
+  label: 'Instagram',
+  kind: 'media',
+  color: '#e1306c',
+  match: matchUrl(/instagram\.com\/(?:[\w.]+\/)?(?:reels?|p|tv)\/([\w-]+)/),
+  resolveMedia: async (id, url, { signal } = {}) => {
+    const response = await axios.get(`https://www.instagram.com/reel/${id}/`, {
+      ...PUBLIC_ONLY,
+      headers: { 'User-Agent': 'facebookexternalhit/1.1' },
+      responseType: 'text',
+      signal,
+      timeout: 15000
+    });
+
+    const meta = readMetaTags(response.data);
+    const mediaUrl = meta.get('og:video:secure_url') || meta.get('og:video');
+    if (!mediaUrl) {
+      throw noMedia('No video found in this Instagram post. Make sure it is a public reel or video post.');
+    }
+
+    // og:title reads "<name> on Instagram: <caption>"
+    const author = (meta.get('og:title') || '').split(' on Instagram')[0] || 'Unknown';
+    return {
+      title: `Instagram Reel by ${author}`,
+      author,
+      text: meta.get('og:description') || '',
+      duration: Number(meta.get('og:video:duration')) || null,
+      mediaUrl,
+      url
+    };
+  }
+});
+
+// The player config lists progressive MP4 files for videos that allow them
+registerSource('vimeo', {
+  label: 'Vimeo',
+  kind: 'media',
+  color: '#1ab7ea',
+  match: matchUrl(/vimeo\.com\/(?:video\/|channels\/[\w-]+\/|groups\/[\w-]+\/videos\/)?(\d+)/),
+  resolveMedia: async (id, url, { signal } = {}) => {
+    const response = await axios.get(`https://player.vimeo.com/video/${id}/config`, {
+      headers: { 'User-Agent': USER_AGENT, Referer: 'https://vimeo.com/' },
+      signal,
+      timeout: 15000
+    });
+
+    const { video = {}, request = {} } = response.data;
+    // The smallest file of at least 360p is plenty for a model and quick to download
+    const files = (request.files?.progressive || []).slice().sort((a, b) => a.height - b.height);
+    const file = files.find(f => f.height >= 360) || files[files.length - 1];
+    if (!file) {
+      throw noMedia('This Vimeo video is only available as a stream and cannot be downloaded.');
+    }
+
+    return {
+      title: video.title || `Vimeo Video ${id}`,
+      author: video.owner?.name || 'Unknown',
+      text: '',
+      duration: video.duration || null,
+      mediaUrl: file.url,
+      url: `https://vimeo.com/${id}`
+    };
+  }
+});
+
+// Any other link straight to a video file; registered last so site adapters win
+registerSource('direct', {
+  label: 'Video file',
+  kind: 'media',
+  linkLabel: 'Open the video file',
+  match: input => (/^https?:\/\/\S+\.(?:mp4|webm|mov)(?:[?#]|$)/i.test(input) ? hashKey(input).slice(0, 16) : null),
+  resolveMedia: async (id, url) => {
+    const { hostname, pathname } = new URL(url);
+    return {
+      title: decodeURIComponent(pathname.split('/').pop()),
+      author: hostname,
+      text: '',
+      duration: null,
+      mediaUrl: url,
+      url
+    };
+  }
+});
+
+module.exports = {
+  registerSource,
+  getSource,
+  detectSource,
+  listSources
+};
@@ -0,0 +1,282 @@
+/**
+ * Speech-to-text backends, for videos without captions
+ *
+ * A transcriber is { name, label, keyEnv, keyField, requiresKey, isAvailable, transcribe }
+ * where keyEnv and keyField name its API key like an AI provider's (see
+ * lib/providers.js), isAvailable() says whether the server is set up to run
+ * it, and transcribe(audio, { apiKey, signal, onUsage }) takes a downloaded
+ * audio file (see lib/media.js) and resolves to { segments, language }: timed
+ * segments like a caption transcript's, and { code, name } of the spoken
+ * language as far as the backend can tell. Backends billed by the token
+ * report their calls through onUsage like the AI providers do (see
+ * lib/usage.js).
+ *
+ * Failed API calls throw errors tagged for lib/retry.js. Audio a backend
+ * cannot take throws an error with code AUDIO_TOO_LARGE, so the next
+ * transcriber can be tried.
+ *
+ * SPEECH_TO_TEXT (comma-separated names, or "off") sets which transcribers
+ * are tried, in order.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { promisify } = require('util');
+const { execFile } = require('child_process');
+const OpenAI = require('openai');
+const { generateGeminiContent, listProviders, resolveModel } = require('./providers');
+const { toGeminiSchema } = require('./summary');
+const { uploadGeminiFile, waitForGeminiFile, deleteGeminiFile } = require('./media');
+const { languageName } = require('./languages');
+const { parseRetryAfter } = require('./retry');
+
+const execFileAsync = promisify(execFile);
+
+// The OpenAI transcription endpoint accepts files up to 25MB
+const WHISPER_API_MAX_BYTES = 25 * 1024 * 1024;
+
+const DEFAULT_ORDER = ['openai', 'gemini', 'whisper-cpp'];
+
+const transcribers = new Map();
+
+/**
+ * Register a speech-to-text backend
+ */
+function registerTranscriber(name, { label = name, keyEnv, keyField, requiresKey = true, isAvailable = () => true, transcribe }) {
+  if (!transcribe) {
+    throw new Error(`Transcriber "${name}" must define transcribe`);
+  }
+  transcribers.set(name, { name, label, keyEnv, keyField, requiresKey, isAvailable, transcribe });
+}
+
+/**
+ * Look up a transcriber; throws (code UNKNOWN_TRANSCRIBER) if there is none
+ */
+function getTranscriber(name) {
+  const transcriber = transcribers.get(name);
+  if (!transcriber) {
+    throw Object.assign(new Error(`Unknown speech-to-text backend "${name}"`), { code: 'UNKNOWN_TRANSCRIBER' });
+  }
+  return transcriber;
+}
+
+/**
+ * The transcribers to try, in SPEECH_TO_TEXT order (all of them by
+ * default), leaving out those the server cannot run
+ */
+function listTranscribers() {
+  const configured = (process.env.SPEECH_TO_TEXT || '').split(',').map(name => name.trim()).filter(Boolean);
+  if (configured.includes('off')) {
+    return [];
+  }
+  const order = configured.length > 0 ? configured : [...DEFAULT_ORDER, ...transcribers.keys()];
+  return [...new Set(order)]
+    .filter(name => transcribers.has(name))
+    .map(name => transcribers.get(name))
+    .filter(transcriber => transcriber.isAvailable());
+}
+
+/**
+ * Clean up the segments a backend returned: drop empty ones, order them by
+ * start time and make sure no segment ends before it starts
+ */
+function normalizeSegments(segments) {
+  return segments
+    .map(segment => ({
+      start: Number(segment.start),
+      end: Number(segment.end),
+      text: String(segment.text || '').replace(/\s+/g, ' ').trim()
+    }))
+    .filter(segment => Number.isFinite(segment.start) && segment.text)
+    .sort((a, b) => a.start - b.start)
+    .map(segment => ({ ...segment, end: Number.isFinite(segment.end) ? Math.max(segment.end, segment.start) : segment.start }));
+}
+
+/**
+ * A file name with the extension the audio's MIME type implies; the
+ * OpenAI endpoint detects the format from it
+ */
+function audioFileName(audio) {
+  const extensions = { 'audio/webm': 'webm', 'audio/mp4': 'm4a', 'audio/mpeg': 'mp3', 'audio/ogg': 'ogg', 'audio/wav': 'wav' };
+  return `audio.${extensions[audio.mimeType] || 'webm'}`;
+}
+
+/**
+ * The audio as a file on disk, writing it to a temporary file if it is only
+ * in memory. Resolves to { path, cleanup }.
+ */
+async function audioFile(audio) {
+  if (audio.path) {
+    return { path: audio.path, cleanup: async () => {} };
+  }
+  const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'vidreduce-'));
+  const file = path.join(dir, audioFileName(audio));
+  await fs.promises.writeFile(file, audio.buffer);
+  return { path: file, cleanup: () => fs.promises.rm(dir, { recursive: true, force: true }) };
+}
+
+// OpenAI's transcription endpoint; WHISPER_BASE_URL points it at a compatible
+// self-hosted server (e.g. faster-whisper-server), which needs no key
+registerTranscriber('openai', {
+  label: 'OpenAI Whisper',
+  keyEnv: process.env.WHISPER_BASE_URL ? 'WHISPER_API_KEY' : 'OPENAI_API_KEY',
+  keyField: process.env.WHISPER_BASE_URL ? undefined : 'openaiKey',
+  requiresKey: !process.env.WHISPER_BASE_URL,
+  transcribe: async (audio, { apiKey, signal } = {}) => {
+    if (audio.size > WHISPER_API_MAX_BYTES) {
+      throw Object.assign(new Error('Audio is larger than the 25MB the Whisper API accepts.'), { code: 'AUDIO_TOO_LARGE' });
+    }
+    // Retries are left to the caller
+    const openai = new OpenAI({ apiKey: apiKey || 'none', baseURL: process.env.WHISPER_BASE_URL || undefined, maxRetries: 0 });
+    const body = audio.path ? fs.createReadStream(audio.path) : audio.buffer;
+
+    let response;
+    try {
+      response = await openai.audio.transcriptions.create({
+        file: await OpenAI.toFile(body, audioFileName(audio), { type: audio.mimeType }),
+        model: process.env.WHISPER_MODEL || 'whisper-1',
+        response_format: 'verbose_json',
+        timestamp_granularities: ['segment']
+      }, { signal });
+    } catch (error) {
+      if (error instanceof OpenAI.APIError && error.status) {
+        error.providerStatus = error.status;
+        error.retryAfterMs = parseRetryAfter(error.headers?.['retry-after']);
+      }
+      throw error;
+    }
+
+    // verbose_json names the language ("english") rather than giving its code
+    const name = response.language ? response.language.replace(/^\w/, letter => letter.toUpperCase()) : null;
+    return {
+      segments: normalizeSegments(response.segments || []),
+      language: { code: null, name }
+    };
+  }
+});
+
+const GEMINI_TRANSCRIPT_SCHEMA = {
+  type: 'object',
+  properties: {
+    language: { type: 'string', description: 'BCP 47 code of the main spoken language, e.g. "en"' },
+    segments: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          start: { type: 'number', description: 'Start time in seconds from the beginning of the audio' },
+          end: { type: 'number', description: 'End time in seconds from the beginning of the audio' },
+          text: { type: 'string' }
+        },
+        required: ['start', 'end', 'text']
+      }
+    }
+  },
+  required: ['language', 'segments']
+};
+
+// Gemini listens to the audio itself; large files go through the File API.
+// GEMINI_TRANSCRIPTION_MODEL picks one of the Gemini provider's models, by
+// default the one summaries use.
+registerTranscriber('gemini', {
+  label: 'Google Gemini',
+  keyEnv: 'GEMINI_API_KEY',
+  keyField: 'geminiKey',
+  isAvailable: () => listProviders().some(provider => provider.name === 'gemini'),
+  transcribe: async (audio, { apiKey, signal, onUsage } = {}) => {
+    const model = resolveModel('gemini', process.env.GEMINI_TRANSCRIPTION_MODEL);
+    let uploaded = null;
+    try {
+      // Audio small enough to be kept in memory is small enough to inline
+      let audioPart;
+      if (audio.buffer) {
+        audioPart = { inline_data: { mime_type: audio.mimeType, data: audio.buffer.toString('base64') } };
+      } else {
+        uploaded = await uploadGeminiFile(audio, apiKey, { displayName: 'Audio for transcription', signal });
+        uploaded = await waitForGeminiFile(uploaded, apiKey, { signal });
+        audioPart = { file_data: { mime_type: uploaded.mimeType, file_uri: uploaded.uri } };
+      }
+
+      const { text, finishReason, usage } = await generateGeminiContent(model, apiKey, {
+        contents: [{
+          parts: [
+            audioPart,
+            {
+              text: 'Transcribe the speech in this audio word for word, in the language it is spoken in. ' +
+                'Split the transcript into segments of one or two sentences, each with its start and end time ' +
+                'in seconds from the beginning of the audio. Leave out music and sound effects.'
+            }
+          ]
+        }],
+        generationConfig: {
+          temperature: 0,
+          maxOutputTokens: 65536,
+          responseMimeType: 'application/json',
+          responseSchema: toGeminiSchema(GEMINI_TRANSCRIPT_SCHEMA)
+        }
+      }, { signal });
+      if (usage && onUsage) {
+        onUsage({ provider: 'gemini', model, ...usage });
+      }
+
+      if (finishReason === 'MAX_TOKENS') {
+        throw new Error('Gemini could not transcribe the whole video: the transcript is longer than its output limit.');
+      }
+      const transcript = JSON.parse(text);
+      return {
+        segments: normalizeSegments(transcript.segments || []),
+        language: { code: transcript.language || null, name: languageName(transcript.language) }
+      };
+    } finally {
+      if (uploaded) {
+        await deleteGeminiFile(uploaded, apiKey);
+      }
+    }
+  }
+});
+
+// A local whisper.cpp build: WHISPER_CPP_MODEL is the path of a ggml model,
+// WHISPER_CPP_BIN the whisper-cli binary. ffmpeg converts the audio to the
+// 16kHz mono WAV whisper.cpp reads.
+registerTranscriber('whisper-cpp', {
+  label: 'whisper.cpp',
+  requiresKey: false,
+  isAvailable: () => !!process.env.WHISPER_CPP_MODEL,
+  transcribe: async (audio, { signal } = {}) => {
+    const input = await audioFile(audio);
+    const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'vidreduce-'));
+    try {
+      const wav = path.join(dir, 'audio.wav');
+      await execFileAsync(process.env.FFMPEG_PATH || 'ffmpeg', [
+        '-nostdin', '-loglevel', 'error', '-i', input.path, '-ar', '16000', '-ac', '1', '-c:a', 'pcm_s16le', wav
+      ], { signal });
+
+      const output = path.join(dir, 'transcript');
+      await execFileAsync(process.env.WHISPER_CPP_BIN || 'whisper-cli', [
+        '-m', process.env.WHISPER_CPP_MODEL, '-f', wav, '-l', 'auto', '-np', '-oj', '-of', output
+      ], { signal, maxBuffer: 16 * 1024 * 1024 });
+
+      // offsets are in milliseconds
+      const result = JSON.parse(await fs.promises.readFile(`${output}.json`, 'utf8'));
+      const code = result.result?.language || null;
+      return {
+        segments: normalizeSegments((result.transcription || []).map(segment => ({
+          start: segment.offsets.from / 1000,
+          end: segment.offsets.to / 1000,
+          text: segment.text
+        }))),
+        language: { code, name: languageName(code) }
+      };
+    } finally {
+      await fs.promises.rm(dir, { recursive: true, force: true });
+      await input.cleanup();
+    }
+  }
+});
+
+module.exports = {
+  registerTranscriber,
+  getTranscriber,
+  listTranscribers
+};
@@ -0,0 +1,89 @@
+/**
+ * Server-Sent Events: streaming progress to browsers and reading the event
+ * streams AI providers send back
+ */
+
+// Comment lines keep idle connections open through proxies
+const HEARTBEAT_MS = 15000;
+
+/**
+ * Start an event stream on an Express response.
+ * Returns { send(event, data), end() }; sending after the client has
+ * disconnected is a no-op, and `closed` reports whether it has.
+ */
+function openEventStream(res) {
+  res.status(200).set({
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    // Stop nginx-style proxies from buffering the stream
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  let closed = false;
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+  res.on('close', () => {
+    closed = true;
+    clearInterval(heartbeat);
+  });
+
+  return {
+    get closed() {
+      return closed;
+    },
+    send(event, data) {
+      if (!closed) {
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+      }
+    },
+    end() {
+      clearInterval(heartbeat);
+      if (!closed) {
+        res.end();
+      }
+    }
+  };
+}
+
+/**
+ * Parse one event block into its data payload (multi-line data is joined)
+ */
+function eventData(block) {
+  return block
+    .split(/\r?\n/)
+    .filter(line => line.startsWith('data:'))
+    .map(line => line.slice(5).replace(/^ /, ''))
+    .join('\n');
+}
+
+/**
+ * Read an event stream (a fetch response body) and yield each event's data
+ */
+async function* readEventStream(body) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  for await (const chunk of body) {
+    buffer += decoder.decode(chunk, { stream: true });
+
+    let match;
+    while ((match = buffer.match(/\r?\n\r?\n/))) {
+      const data = eventData(buffer.slice(0, match.index));
+      buffer = buffer.slice(match.index + match[0].length);
+      if (data) {
+        yield data;
+      }
+    }
+  }
+
+  const data = eventData(buffer + decoder.decode());
+  if (data) {
+    yield data;
+  }
+}
+
+module.exports = {
+  openEventStream,
+  readEventStream
+};
@@ -0,0 +1,258 @@
+/**
+ * Channel subscriptions: poll the upload feeds of registered YouTube
+ * channels and summarize new videos automatically
+ *
+ * State is one document in the cache (see lib/cache.js):
+ * {
+ *   channels: [{ channelId, title, ownerId, addedAt, lastPolledAt, lastError, seenVideoIds }],
+ *   entries: [{ videoId, channelId, channelTitle, title, url, published,
+ *               status, attempts, error, summary, summarizedAt }]   // newest first
+ * }
+ * ownerId is the ID of the access token that subscribed (null for the admin).
+ * A video is "seen" once it has been summarized, or has failed MAX_ATTEMPTS
+ * times; failed videos (often: captions not ready yet) are retried on later polls.
+ */
+
+const axios = require('axios');
+const { parseUploadsFeed } = require('./feeds');
+const { mapWithConcurrency } = require('./concurrency');
+
+const DEFAULT_FEED_URL = 'https://www.youtube.com/feeds/videos.xml?channel_id={channelId}';
+const CHANNEL_ID_PATTERN = /^UC[\w-]{22}$/;
+
+const MAX_ATTEMPTS = 3;
+const MAX_SEEN_PER_CHANNEL = 200;
+const FEED_CONCURRENCY = 4;
+
+/**
+ * Extract a channel ID from a UC… ID or a youtube.com/channel/UC… URL
+ */
+function parseChannelId(input) {
+  const value = String(input || '').trim();
+  if (CHANNEL_ID_PATTERN.test(value)) {
+    return value;
+  }
+  const match = value.match(/youtube\.com\/channel\/(UC[\w-]{22})(?:[/?#]|$)/);
+  return match ? match[1] : null;
+}
+
+/**
+ * Create the subscription service.
+ * - cache: a file cache holding the state
+ * - summarize(videoId): resolves to a structured summary; throws on failure
+ * - feedUrl: uploads feed URL template with {channelId}, e.g. a local stand-in feed
+ */
+function createSubscriptionService({ cache, summarize, feedUrl = DEFAULT_FEED_URL, maxEntries = 200, maxPerPoll = 10 }) {
+  const STATE_KEY = 'state';
+  let updates = Promise.resolve();
+  let polling = null;
+
+  async function load() {
+    const entry = await cache.get('subscriptions', STATE_KEY);
+    return entry ? entry.value : { channels: [], entries: [] };
+  }
+
+  // Read-modify-write of the state, one at a time
+  function update(fn) {
+    const run = updates.then(async () => {
+      const state = await load();
+      const result = await fn(state);
+      await cache.set('subscriptions', STATE_KEY, state, 0);
+      return result;
+    });
+    updates = run.catch(() => {});
+    return run;
+  }
+
+  async function fetchFeed(channelId) {
+    const response = await axios.get(feedUrl.replace('{channelId}', encodeURIComponent(channelId)), {
+      responseType: 'text',
+      timeout: 15000
+    });
+    return parseUploadsFeed(response.data);
+  }
+
+  function markSeen(channel, videoId) {
+    if (!channel.seenVideoIds.includes(videoId)) {
+      channel.seenVideoIds.unshift(videoId);
+      channel.seenVideoIds.length = Math.min(channel.seenVideoIds.length, MAX_SEEN_PER_CHANNEL);
+    }
+  }
+
+  /**
+   * Subscribe to a channel. The newest `backfill` uploads are summarized on
+   * the next poll; older uploads are skipped. Throws (code INVALID_CHANNEL,
+   * FEED_UNAVAILABLE or ALREADY_SUBSCRIBED) when the channel cannot be added.
+   */
+  async function subscribe(input, { backfill = 0, ownerId = null } = {}) {
+    const channelId = parseChannelId(input);
+    if (!channelId) {
+      throw Object.assign(new Error('Invalid channel. Use a channel ID (UC…) or a youtube.com/channel/UC… URL.'), { code: 'INVALID_CHANNEL' });
+    }
+
+    let feed;
+    try {
+      feed = await fetchFeed(channelId);
+    } catch (error) {
+      throw Object.assign(new Error(`Could not load the uploads feed for ${channelId}: ${error.message}`), { code: 'FEED_UNAVAILABLE' });
+    }
+
+    return update(state => {
+      if (state.channels.some(channel => channel.channelId === channelId)) {
+        throw Object.assign(new Error(`Already subscribed to ${channelId}.`), { code: 'ALREADY_SUBSCRIBED' });
+      }
+      const channel = {
+        channelId,
+        title: feed.title || channelId,
+        ownerId,
+        addedAt: new Date().toISOString(),
+        lastPolledAt: null,
+        lastError: null,
+        seenVideoIds: feed.videos.slice(Math.max(0, backfill)).map(video => video.id)
+      };
+      state.channels.push(channel);
+      return channel;
+    });
+  }
+
+  /**
+   * Remove a subscription. Returns false if the channel was not subscribed.
+   * With ownerId, only a subscription made by that owner is removed; others
+   * throw (code FORBIDDEN). Published summaries stay in the feed.
+   */
+  async function unsubscribe(channelId, { ownerId } = {}) {
+    return update(state => {
+      const index = state.channels.findIndex(channel => channel.channelId === channelId);
+      if (index === -1) {
+        return false;
+      }
+      if (ownerId !== undefined && state.channels[index].ownerId !== ownerId) {
+        throw Object.assign(new Error('Only the access token that subscribed to this channel, or the admin, can unsubscribe.'), { code: 'FORBIDDEN' });
+      }
+      state.channels.splice(index, 1);
+      return true;
+    });
+  }
+
+  async function list() {
+    return load();
+  }
+
+  /**
+   * Successfully summarized entries, newest first
+   */
+  async function published(limit = maxEntries) {
+    const state = await load();
+    return state.entries.filter(entry => entry.status === 'succeeded').slice(0, limit);
+  }
+
+  async function pollOnce() {
+    const { channels } = await load();
+    const report = { channels: channels.length, newVideos: 0, summarized: 0, failed: 0, feedErrors: 0 };
+
+    // Fetch every feed first, then summarize new videos oldest first
+    const candidates = [];
+    const feeds = await mapWithConcurrency(channels, FEED_CONCURRENCY, async (channel) => {
+      try {
+        const feed = await fetchFeed(channel.channelId);
+        for (const video of feed.videos) {
+          if (!channel.seenVideoIds.includes(video.id)) {
+            candidates.push({ channel: { channelId: channel.channelId, title: feed.title || channel.title }, video });
+          }
+        }
+        return { channelId: channel.channelId, title: feed.title, error: null };
+      } catch (error) {
+        console.error(`Subscription feed failed (${channel.channelId}):`, error.message);
+        report.feedErrors++;
+        return { channelId: channel.channelId, error: error.message };
+      }
+    });
+
+    await update(state => {
+      const polledAt = new Date().toISOString();
+      for (const feed of feeds) {
+        const channel = state.channels.find(c => c.channelId === feed.channelId);
+        if (channel) {
+          Object.assign(channel, { lastPolledAt: polledAt, lastError: feed.error }, feed.title ? { title: feed.title } : {});
+        }
+      }
+    });
+
+    candidates.sort((a, b) => Date.parse(a.video.published || 0) - Date.parse(b.video.published || 0));
+    report.newVideos = candidates.length;
+
+    for (const { channel, video } of candidates.slice(0, maxPerPoll)) {
+      let summary = null;
+      let failure = null;
+      try {
+        summary = await summarize(video.id);
+      } catch (error) {
+        console.error(`Subscription summary failed (${video.id}):`, error.message);
+        failure = error.message;
+      }
+
+      await update(state => {
+        const previous = state.entries.find(entry => entry.videoId === video.id);
+        const entry = {
+          videoId: video.id,
+          channelId: channel.channelId,
+          channelTitle: channel.title,
+          title: video.title,
+          url: `https://www.youtube.com/watch?v=${video.id}`,
+          published: video.published,
+          status: summary ? 'succeeded' : 'failed',
+          attempts: (previous?.attempts || 0) + 1,
+          error: failure,
+          summary,
+          summarizedAt: new Date().toISOString()
+        };
+        state.entries = [entry, ...state.entries.filter(e => e.videoId !== video.id)].slice(0, maxEntries);
+
+        const subscribed = state.channels.find(c => c.channelId === channel.channelId);
+        if (subscribed && (summary || entry.attempts >= MAX_ATTEMPTS)) {
+          markSeen(subscribed, video.id);
+        }
+      });
+      if (summary) {
+        report.summarized++;
+      } else {
+        report.failed++;
+      }
+    }
+
+    console.log(`Subscriptions polled: ${report.summarized} summarized, ${report.failed} failed, ${report.newVideos} new`);
+    return report;
+  }
+
+  /**
+   * Poll every subscribed channel once. Concurrent calls share the running poll.
+   * Resolves to { channels, newVideos, summarized, failed, feedErrors }.
+   */
+  function poll() {
+    if (!polling) {
+      polling = pollOnce().finally(() => {
+        polling = null;
+      });
+    }
+    return polling;
+  }
+
+  /**
+   * Poll every `intervalMs` in the background. Returns a function that stops it.
+   */
+  function startPolling(intervalMs) {
+    const timer = setInterval(() => {
+      poll().catch(error => console.error('Subscription poll failed:', error.message));
+    }, intervalMs);
+    // Polling alone should not keep the process alive
+    timer.unref();
+    return () => clearInterval(timer);
+  }
+
+  return { subscribe, unsubscribe, list, published, poll, startPolling };
+}
+
+module.exports = {
+  parseChannelId,
+  createSubscriptionService
+};
@@ -0,0 +1,310 @@
+/**
+ * Structured summaries: the JSON schema requested from the models, validation
+ * of what they return, and server-side HTML rendering
+ *
+ * {
+ *   title: string,
+ *   tldr: string,
+ *   takeaways: [{ text: string, timestamp: string | null, start?: number }],
+ *   conclusion: string,
+ *   topics: string[],
+ *   sections: [{ heading: string, items: string[] }]   // style-specific extras
+ * }
+ */
+
+const { parseTimestamp, youtubeTimestampUrl } = require('./transcript');
+const { sanitizeHtml } = require('./sanitize');
+
+// JSON Schema in the subset accepted by OpenAI strict structured outputs
+const SUMMARY_SCHEMA = {
+  type: 'object',
+  properties: {
+    title: { type: 'string' },
+    tldr: { type: 'string' },
+    takeaways: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          text: { type: 'string' },
+          timestamp: { type: ['string', 'null'] }
+        },
+        required: ['text', 'timestamp'],
+        additionalProperties: false
+      }
+    },
+    conclusion: { type: 'string' },
+    topics: {
+      type: 'array',
+      items: { type: 'string' }
+    },
+    sections: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          heading: { type: 'string' },
+          items: {
+            type: 'array',
+            items: { type: 'string' }
+          }
+        },
+        required: ['heading', 'items'],
+        additionalProperties: false
+      }
+    }
+  },
+  required: ['title', 'tldr', 'takeaways', 'conclusion', 'topics', 'sections'],
+  additionalProperties: false
+};
+
+/**
+ * Convert a JSON Schema into Gemini's OpenAPI-style responseSchema
+ * (upper-case types, `nullable` instead of type unions)
+ */
+function toGeminiSchema(schema) {
+  const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+  const type = types.find(t => t !== 'null');
+  const result = { type: type.toUpperCase() };
+
+  if (types.includes('null')) {
+    result.nullable = true;
+  }
+  if (schema.description) {
+    result.description = schema.description;
+  }
+  if (schema.properties) {
+    result.properties = {};
+    for (const [name, property] of Object.entries(schema.properties)) {
+      result.properties[name] = toGeminiSchema(property);
+    }
+    result.required = schema.required;
+    result.propertyOrdering = Object.keys(schema.properties);
+  }
+  if (schema.items) {
+    result.items = toGeminiSchema(schema.items);
+  }
+
+  return result;
+}
+
+function asText(value) {
+  return typeof value === 'string' ? value.trim() : '';
+}
+
+function asTextList(value) {
+  return Array.isArray(value) ? value.map(asText).filter(Boolean) : [];
+}
+
+function stripCodeFence(text) {
+  // Some models still wrap JSON in a code fence despite structured output
+  return String(text).trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+}
+
+/**
+ * Normalize parsed model output into a structured summary, dropping
+ * malformed takeaways, topics and sections
+ */
+function normalizeSummary(data) {
+  const takeaways = (Array.isArray(data.takeaways) ? data.takeaways : [])
+    .map(takeaway => {
+      if (typeof takeaway === 'string') {
+        return { text: takeaway.trim(), timestamp: null };
+      }
+      const timestamp = asText(takeaway?.timestamp).replace(/^\[|\]$/g, '');
+      const result = {
+        text: asText(takeaway?.text),
+        timestamp: /^\d{1,2}(:\d{2}){1,2}$/.test(timestamp) ? timestamp : null
+      };
+      if (result.timestamp) {
+        result.start = parseTimestamp(result.timestamp);
+      }
+      return result;
+    })
+    .filter(takeaway => takeaway.text);
+
+  return {
+    title: asText(data.title),
+    tldr: asText(data.tldr),
+    takeaways,
+    conclusion: asText(data.conclusion),
+    topics: asTextList(data.topics),
+    sections: (Array.isArray(data.sections) ? data.sections : [])
+      .map(section => ({ heading: asText(section?.heading), items: asTextList(section?.items) }))
+      .filter(section => section.heading && section.items.length > 0)
+  };
+}
+
+function isEmptySummary(summary) {
+  return !summary.tldr && summary.takeaways.length === 0 && summary.sections.length === 0;
+}
+
+/**
+ * Parse and validate a model response into a structured summary.
+ * Throws if the response is not JSON or is missing the core fields.
+ */
+function parseSummary(text) {
+  let data;
+  try {
+    data = JSON.parse(stripCodeFence(text));
+  } catch (error) {
+    throw new Error(`AI returned an invalid summary (not JSON): ${error.message}`);
+  }
+
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error('AI returned an invalid summary (expected a JSON object)');
+  }
+
+  const summary = normalizeSummary(data);
+  if (isEmptySummary(summary)) {
+    throw new Error('AI returned an empty summary');
+  }
+
+  return summary;
+}
+
+/**
+ * Scan JSON text, tracking open containers and strings
+ */
+function scanJSON(text) {
+  const stack = [];
+  let inString = false;
+  let escaped = false;
+  let lastComma = -1;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inString) {
+      if (escaped) {
+        escaped = false;
+      } else if (char === '\\') {
+        escaped = true;
+      } else if (char === '"') {
+        inString = false;
+      }
+    } else if (char === '"') {
+      inString = true;
+    } else if (char === '{' || char === '[') {
+      stack.push(char === '{' ? '}' : ']');
+    } else if (char === '}' || char === ']') {
+      stack.pop();
+    } else if (char === ',') {
+      lastComma = i;
+    }
+  }
+
+  return { stack, inString, escaped, lastComma };
+}
+
+/**
+ * Close the open string, arrays and objects of truncated JSON text
+ */
+function closeJSON(text) {
+  const { stack, inString, escaped } = scanJSON(text);
+  let closed = text;
+  if (inString) {
+    closed = `${escaped ? closed.slice(0, -1) : closed}"`;
+  }
+  closed = closed.replace(/[\s,]+$/, '');
+  if (closed.endsWith(':')) {
+    closed += 'null';
+  }
+  return closed + stack.reverse().join('');
+}
+
+/**
+ * Best-effort parse of a summary that is still being streamed. Incomplete
+ * trailing members are dropped; returns null until there is something to show.
+ */
+function parsePartialSummary(text) {
+  let source = stripCodeFence(text);
+
+  // Each retry drops the last (incomplete) member, e.g. a half-written key
+  for (let attempt = 0; attempt < 3 && source; attempt++) {
+    let data;
+    try {
+      data = JSON.parse(closeJSON(source));
+    } catch (error) {
+      const { lastComma } = scanJSON(source);
+      source = lastComma >= 0 ? source.slice(0, lastComma) : '';
+      continue;
+    }
+
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      return null;
+    }
+    const summary = normalizeSummary(data);
+    return isEmptySummary(summary) ? null : summary;
+  }
+
+  return null;
+}
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Escape model text and turn **emphasis** into <strong>
+ */
+function formatText(text) {
+  return escapeHtml(text).replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>');
+}
+
+/**
+ * Render one takeaway as a list item, linking its timestamp when a videoId is given
+ */
+function renderTakeaway(takeaway, videoId) {
+  const link = videoId && takeaway.timestamp
+    ? ` <a href="${youtubeTimestampUrl(videoId, takeaway.start)}" class="timestamp-link" target="_blank">▶ ${takeaway.timestamp}</a>`
+    : '';
+  return `<li>${formatText(takeaway.text)}${link}</li>`;
+}
+
+/**
+ * Render a structured summary as a sanitized HTML fragment. With a videoId,
+ * timestamped takeaways link to that moment of the YouTube video.
+ */
+function renderSummaryHTML(summary, { videoId } = {}) {
+  const parts = [];
+
+  if (summary.tldr) {
+    parts.push(`<h3>⚡ TL;DR</h3>\n<p>${formatText(summary.tldr)}</p>`);
+  }
+
+  if (summary.takeaways.length > 0) {
+    const items = summary.takeaways.map(takeaway => renderTakeaway(takeaway, videoId));
+    parts.push(`<h3>📌 Key Takeaways</h3>\n<ul>\n${items.join('\n')}\n</ul>`);
+  }
+
+  for (const section of summary.sections) {
+    const items = section.items.map(item => `<li>${formatText(item)}</li>`);
+    parts.push(`<h3>${formatText(section.heading)}</h3>\n<ul>\n${items.join('\n')}\n</ul>`);
+  }
+
+  if (summary.conclusion) {
+    parts.push(`<h3>💡 Conclusion</h3>\n<p>${formatText(summary.conclusion)}</p>`);
+  }
+
+  if (summary.topics.length > 0) {
+    parts.push(`<p class="topics">🏷️ ${summary.topics.map(topic => `<span class="topic">${escapeHtml(topic)}</span>`).join(' ')}</p>`);
+  }
+
+  return sanitizeHtml(parts.join('\n'));
+}
+
+module.exports = {
+  SUMMARY_SCHEMA,
+  toGeminiSchema,
+  parseSummary,
+  parsePartialSummary,
+  escapeHtml,
+  formatText,
+  renderTakeaway,
+  renderSummaryHTML
+};
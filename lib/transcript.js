@@ -0,0 +1,156 @@
+/**
+ * Timed transcript segments: parsing, formatting and timestamp links
+ *
+ * A segment is { start, end, text } with start/end in seconds.
+ */
+
+// Group segments into lines of roughly this many seconds when building prompts
+const PROMPT_LINE_SECONDS = 30;
+
+/**
+ * Decode the XML/HTML entities YouTube uses in caption tracks
+ */
+function decodeEntities(text) {
+  return text
+    .replace(/&#(\d+);/g, (_, code) => String.fromCodePoint(Number(code)))
+    .replace(/&#x([0-9a-f]+);/gi, (_, code) => String.fromCodePoint(parseInt(code, 16)))
+    .replace(/&quot;/g, '"')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Clean up caption text: strip tags, decode entities, collapse whitespace
+ */
+function cleanCaptionText(text) {
+  // Entities are sometimes double-encoded (&amp;#39;), so decode twice
+  return decodeEntities(decodeEntities(text.replace(/<[^>]*>/g, ' ')))
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Parse a YouTube caption track into segments.
+ * Handles both the legacy format (<text start="1.2" dur="3.4">) and
+ * srv3 (<p t="1200" d="3400">).
+ */
+function parseCaptionXml(xml) {
+  const segments = [];
+
+  const legacyPattern = /<text\b([^>]*)>([\s\S]*?)<\/text>/g;
+  let match;
+  while ((match = legacyPattern.exec(xml)) !== null) {
+    const start = parseFloat(readAttribute(match[1], 'start'));
+    const duration = parseFloat(readAttribute(match[1], 'dur')) || 0;
+    const text = cleanCaptionText(match[2]);
+    if (!Number.isNaN(start) && text) {
+      segments.push({ start, end: start + duration, text });
+    }
+  }
+
+  if (segments.length === 0) {
+    const srv3Pattern = /<p\b([^>]*)>([\s\S]*?)<\/p>/g;
+    while ((match = srv3Pattern.exec(xml)) !== null) {
+      const start = parseInt(readAttribute(match[1], 't'), 10) / 1000;
+      const duration = (parseInt(readAttribute(match[1], 'd'), 10) || 0) / 1000;
+      const text = cleanCaptionText(match[2]);
+      if (!Number.isNaN(start) && text) {
+        segments.push({ start, end: start + duration, text });
+      }
+    }
+  }
+
+  return segments;
+}
+
+function readAttribute(attributes, name) {
+  const match = attributes.match(new RegExp(`\\b${name}="([^"]*)"`));
+  return match ? match[1] : undefined;
+}
+
+/**
+ * Convert youtubei.js transcript segments (start_ms/end_ms/snippet) into segments
+ */
+function fromInnertubeSegments(initialSegments) {
+  return initialSegments
+    .filter(seg => seg.start_ms !== undefined)
+    .map(seg => ({
+      start: Number(seg.start_ms) / 1000,
+      end: Number(seg.end_ms) / 1000,
+      text: (seg.snippet?.text || '').replace(/\s+/g, ' ').trim()
+    }))
+    .filter(seg => seg.text);
+}
+
+/**
+ * Join segments into plain transcript text
+ */
+function segmentsToText(segments) {
+  return segments.map(seg => seg.text).join(' ');
+}
+
+/**
+ * Format seconds as m:ss or h:mm:ss
+ */
+function formatTimestamp(seconds) {
+  const total = Math.max(0, Math.floor(seconds));
+  const h = Math.floor(total / 3600);
+  const m = Math.floor((total % 3600) / 60);
+  const s = String(total % 60).padStart(2, '0');
+  return h > 0 ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`;
+}
+
+/**
+ * Parse m:ss or h:mm:ss back into seconds
+ */
+function parseTimestamp(timestamp) {
+  return timestamp.split(':').reduce((total, part) => total * 60 + Number(part), 0);
+}
+
+/**
+ * Render segments as "[m:ss] text" lines, grouped into ~30 second lines,
+ * so the model can cite where each point is made
+ */
+function formatTimedTranscript(segments, lineSeconds = PROMPT_LINE_SECONDS) {
+  const lines = [];
+  let current = null;
+
+  for (const seg of segments) {
+    if (!current || seg.start - current.start >= lineSeconds) {
+      current = { start: seg.start, texts: [] };
+      lines.push(current);
+    }
+    current.texts.push(seg.text);
+  }
+
+  return lines.map(line => `[${formatTimestamp(line.start)}] ${line.texts.join(' ')}`).join('\n');
+}
+
+/**
+ * The segments that overlap a time range { start, end } (in seconds; a
+ * null end runs to the end of the video)
+ */
+function sliceSegments(segments, { start = 0, end = null }) {
+  return segments.filter(segment => segment.end > start && (end === null || segment.start < end));
+}
+
+/**
+ * Build a YouTube link that starts playback at the given second
+ */
+function youtubeTimestampUrl(videoId, seconds) {
+  return `https://www.youtube.com/watch?v=${videoId}&t=${Math.floor(seconds)}s`;
+}
+
+module.exports = {
+  decodeEntities,
+  parseCaptionXml,
+  fromInnertubeSegments,
+  segmentsToText,
+  formatTimestamp,
+  parseTimestamp,
+  formatTimedTranscript,
+  sliceSegments,
+  youtubeTimestampUrl
+};
@@ -0,0 +1,240 @@
+/**
+ * Token usage and cost accounting
+ *
+ * Generators report the tokens of each AI call through onUsage (see
+ * lib/providers.js) as { provider, model, inputTokens, outputTokens }. The
+ * calls made for one request are added up into a usage record
+ * {
+ *   inputTokens, outputTokens, estimatedCost,
+ *   models: [{ provider, model, calls, inputTokens, outputTokens, estimatedCost }]
+ * }
+ * where costs are estimates in US dollars from the price table, and null
+ * for models it has no price for.
+ *
+ * The usage ledger adds records up per UTC day in the cache (see
+ * lib/cache.js), one document per day in the "usage" namespace, for the
+ * usage report:
+ * { date, requests, providers: { [provider]: requests }, models: { [provider:model]: totals } }
+ * Requests are counted per day and per provider as well as per model, since
+ * one request can use several models.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// The longest period a usage report covers
+const REPORT_MAX_DAYS = 366;
+
+// List prices in US dollars per million input and output tokens. Keys are
+// model names, or "provider:model" for a model of one provider only.
+const DEFAULT_PRICES = {
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-4.1': { input: 2, output: 8 },
+  'gpt-4.1-mini': { input: 0.4, output: 1.6 },
+  'gpt-4.1-nano': { input: 0.1, output: 0.4 },
+  'gemini-2.5-pro': { input: 1.25, output: 10 },
+  'gemini-2.5-flash': { input: 0.3, output: 2.5 },
+  'gemini-2.5-flash-lite': { input: 0.1, output: 0.4 },
+  'gemini-2.0-flash': { input: 0.1, output: 0.4 },
+  'claude-3-5-haiku-latest': { input: 0.8, output: 4 },
+  'claude-3-5-sonnet-latest': { input: 3, output: 15 },
+  'claude-sonnet-4-0': { input: 3, output: 15 }
+};
+
+/**
+ * The price table: DEFAULT_PRICES with the prices in `json` (AI_PRICES, a
+ * JSON object in the same shape) added or replacing them
+ */
+function loadPrices(json) {
+  if (!json) {
+    return { ...DEFAULT_PRICES };
+  }
+  try {
+    const prices = JSON.parse(json);
+    const invalid = Object.entries(prices).find(([, price]) => !(Number.isFinite(price?.input) && Number.isFinite(price?.output)));
+    if (invalid) {
+      throw new Error(`"${invalid[0]}" needs numeric input and output prices`);
+    }
+    return { ...DEFAULT_PRICES, ...prices };
+  } catch (error) {
+    console.error(`Ignoring AI_PRICES (${error.message}); using the default prices`);
+    return { ...DEFAULT_PRICES };
+  }
+}
+
+const roundCost = cost => Math.round(cost * 1e6) / 1e6;
+
+/**
+ * The estimated cost in US dollars of a call's tokens, or null if the price
+ * table has no price for the model
+ */
+function estimateCost(prices, { provider, model, inputTokens, outputTokens }) {
+  const price = prices[`${provider}:${model}`] || prices[model];
+  if (!price) {
+    return null;
+  }
+  return roundCost((inputTokens * price.input + outputTokens * price.output) / 1e6);
+}
+
+const sumCosts = costs => (costs.some(cost => cost !== null) ? roundCost(costs.reduce((sum, cost) => sum + (cost || 0), 0)) : null);
+
+/**
+ * Add up per-model entries ({ provider, model, calls, inputTokens,
+ * outputTokens, estimatedCost }) into a usage record; null if there are none
+ */
+function toUsageRecord(entries) {
+  const models = new Map();
+  for (const entry of entries) {
+    const key = `${entry.provider}:${entry.model}`;
+    const total = models.get(key) || { provider: entry.provider, model: entry.model, calls: 0, inputTokens: 0, outputTokens: 0, estimatedCost: null };
+    total.calls += entry.calls;
+    total.inputTokens += entry.inputTokens;
+    total.outputTokens += entry.outputTokens;
+    total.estimatedCost = sumCosts([total.estimatedCost, entry.estimatedCost]);
+    models.set(key, total);
+  }
+  if (models.size === 0) {
+    return null;
+  }
+
+  const totals = Array.from(models.values());
+  return {
+    inputTokens: totals.reduce((sum, entry) => sum + entry.inputTokens, 0),
+    outputTokens: totals.reduce((sum, entry) => sum + entry.outputTokens, 0),
+    estimatedCost: sumCosts(totals.map(entry => entry.estimatedCost)),
+    models: totals
+  };
+}
+
+/**
+ * Collects the AI calls of one request: pass `record` as onUsage, then
+ * read the usage record (null if no call reported usage) from `usage()`
+ */
+function createUsageMeter(prices) {
+  const calls = [];
+
+  const record = ({ provider, model, inputTokens = 0, outputTokens = 0 }) => {
+    calls.push({ provider, model, calls: 1, inputTokens, outputTokens, estimatedCost: estimateCost(prices, { provider, model, inputTokens, outputTokens }) });
+  };
+
+  return { record, usage: () => toUsageRecord(calls) };
+}
+
+/**
+ * Combine usage records (nulls are skipped) into one
+ */
+function mergeUsage(...records) {
+  return toUsageRecord(records.filter(Boolean).flatMap(record => record.models));
+}
+
+const dayKey = time => new Date(time).toISOString().slice(0, 10);
+
+/**
+ * Usage records added up per day, kept in the cache for `retentionSeconds`
+ * (0 = forever)
+ */
+function createUsageLedger({ cache, retentionSeconds = 0 }) {
+  let updates = Promise.resolve();
+
+  /**
+   * Add a request's usage record to today's totals
+   */
+  function record(usage) {
+    if (!usage) {
+      return Promise.resolve();
+    }
+    const run = updates.then(async () => {
+      const date = dayKey(Date.now());
+      const entry = await cache.get('usage', date);
+      const day = entry ? entry.value : { date, requests: 0, providers: {}, models: {} };
+      day.requests++;
+      for (const provider of new Set(usage.models.map(model => model.provider))) {
+        day.providers[provider] = (day.providers[provider] || 0) + 1;
+      }
+      for (const model of usage.models) {
+        const key = `${model.provider}:${model.model}`;
+        const total = day.models[key] || { provider: model.provider, model: model.model, requests: 0, calls: 0, inputTokens: 0, outputTokens: 0, estimatedCost: null };
+        total.requests++;
+        total.calls += model.calls;
+        total.inputTokens += model.inputTokens;
+        total.outputTokens += model.outputTokens;
+        total.estimatedCost = sumCosts([total.estimatedCost, model.estimatedCost]);
+        day.models[key] = total;
+      }
+      await cache.set('usage', date, day, retentionSeconds);
+    });
+    updates = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Usage from one UTC day to another (YYYY-MM-DD, both included; by default
+   * the last 30 days), in total and by provider, model and day. Throws
+   * (code INVALID_RANGE) for dates that cannot be read or a range longer
+   * than REPORT_MAX_DAYS.
+   */
+  async function report({ from, to } = {}) {
+    const end = to ? Date.parse(to) : Date.parse(dayKey(Date.now()));
+    const start = from ? Date.parse(from) : end - 29 * DAY_MS;
+    if (Number.isNaN(start) || Number.isNaN(end) || start > end) {
+      throw Object.assign(new Error('from and to must be dates (YYYY-MM-DD), from no later than to.'), { code: 'INVALID_RANGE' });
+    }
+    if ((end - start) / DAY_MS >= REPORT_MAX_DAYS) {
+      throw Object.assign(new Error(`Usage reports cover at most ${REPORT_MAX_DAYS} days.`), { code: 'INVALID_RANGE' });
+    }
+
+    await updates;
+    const days = [];
+    for (let time = start; time <= end; time += DAY_MS) {
+      const entry = await cache.get('usage', dayKey(time));
+      if (entry) {
+        days.push(entry.value);
+      }
+    }
+
+    const entries = days.flatMap(day => Object.values(day.models).map(model => ({ ...model, date: day.date })));
+    // requestsOf(group) counts the requests of a group of entries
+    const groupBy = (keyOf, describe, requestsOf) => {
+      const groups = new Map();
+      for (const entry of entries) {
+        const key = keyOf(entry);
+        groups.set(key, [...(groups.get(key) || []), entry]);
+      }
+      return Array.from(groups.values(), group => ({ ...describe(group[0]), requests: requestsOf(group), ...addUp(group) }));
+    };
+    const sum = (items, count) => items.reduce((total, item) => total + count(item), 0);
+
+    return {
+      from: dayKey(start),
+      to: dayKey(end),
+      currency: 'USD',
+      totals: { requests: sum(days, day => day.requests), ...addUp(entries) },
+      byProvider: groupBy(entry => entry.provider, ({ provider }) => ({ provider }), ([{ provider }]) => sum(days, day => day.providers[provider] || 0)),
+      byModel: groupBy(entry => `${entry.provider}:${entry.model}`, ({ provider, model }) => ({ provider, model }), group => sum(group, entry => entry.requests)),
+      byDay: groupBy(entry => entry.date, ({ date }) => ({ date }), ([{ date }]) => days.find(day => day.date === date).requests)
+    };
+  }
+
+  return { record, report };
+}
+
+/**
+ * Calls, tokens and cost of ledger entries
+ */
+function addUp(entries) {
+  return {
+    calls: entries.reduce((sum, entry) => sum + entry.calls, 0),
+    inputTokens: entries.reduce((sum, entry) => sum + entry.inputTokens, 0),
+    outputTokens: entries.reduce((sum, entry) => sum + entry.outputTokens, 0),
+    estimatedCost: sumCosts(entries.map(entry => entry.estimatedCost))
+  };
+}
+
+module.exports = {
+  DEFAULT_PRICES,
+  loadPrices,
+  estimateCost,
+  createUsageMeter,
+  mergeUsage,
+  createUsageLedger
+};
@@ -0,0 +1,349 @@
+/**
+ * YouTube data: video metadata, transcripts, audio and playlists through
+ * youtubei.js (an ES module, imported on demand), and optionally video
+ * details from the Data API
+ *
+ * Video metadata is { title, author, channelId, duration, publishedAt,
+ * description, thumbnail, viewCount }, with duration in seconds and
+ * publishedAt an ISO 8601 date; fields YouTube does not report are null.
+ */
+
+const axios = require('axios');
+const { parseCaptionXml, fromInnertubeSegments } = require('./transcript');
+const { DEFAULT_CAPTION_LANGUAGES, selectCaptionTrack } = require('./languages');
+const { storeMedia } = require('./media');
+
+// www., m. (mobile), music. and the privacy-enhanced youtube-nocookie.com
+const YOUTUBE_HOST_PATTERN = /^(?:(?:www|m|music)\.)?youtube(?:-nocookie)?\.com$/;
+const VIDEO_ID_PATTERN = /^[\w-]{11}$/;
+
+/**
+ * Parse a time parameter: seconds ("90", "90s"), units ("1h2m3s", "1m30s")
+ * or a timestamp ("1:30", "1:02:03"). Returns seconds, or null if the
+ * value is not a time.
+ */
+function parseTimeParam(value) {
+  const text = String(value ?? '').trim();
+  if (/^\d+(?:\.\d+)?s?$/.test(text)) {
+    return Math.floor(parseFloat(text));
+  }
+  const units = text.match(/^(?:(\d+)h)?(?:(\d+)m)?(?:(\d+)s)?$/);
+  if (units && text) {
+    const [hours, minutes, seconds] = units.slice(1).map(part => Number(part) || 0);
+    return hours * 3600 + minutes * 60 + seconds;
+  }
+  if (/^\d+(?::[0-5]?\d){1,2}$/.test(text)) {
+    return text.split(':').reduce((total, part) => total * 60 + Number(part), 0);
+  }
+  return null;
+}
+
+/**
+ * Parse a YouTube video URL or bare video ID: watch?v=, youtu.be/, Shorts,
+ * live, embed and /v/ links on the youtube.com, m., music. and
+ * youtube-nocookie.com hosts, with or without the scheme. The t= (also in
+ * the #t= fragment), start= and end= parameters give the part of the video
+ * the link points at. Returns { videoId, start, end } with times in seconds
+ * (null when absent), or null if the input is not a YouTube video.
+ */
+function parseYouTubeUrl(input) {
+  const value = String(input || '').trim();
+  if (VIDEO_ID_PATTERN.test(value)) {
+    return { videoId: value, start: null, end: null };
+  }
+
+  let url;
+  try {
+    url = new URL(/^[a-z][\w+.-]*:\/\//i.test(value) ? value : `https://${value}`);
+  } catch (error) {
+    return null;
+  }
+
+  const host = url.hostname.toLowerCase();
+  const path = url.pathname.split('/').filter(Boolean);
+  let videoId = null;
+  if (host === 'youtu.be' || host === 'www.youtu.be') {
+    videoId = path[0];
+  } else if (YOUTUBE_HOST_PATTERN.test(host)) {
+    if (path[0] === 'watch') {
+      videoId = url.searchParams.get('v');
+    } else if (['shorts', 'live', 'embed', 'v', 'e'].includes(path[0])) {
+      videoId = path[1];
+    }
+  }
+  if (!videoId || !VIDEO_ID_PATTERN.test(videoId)) {
+    return null;
+  }
+
+  const fragment = new URLSearchParams(url.hash.slice(1));
+  return {
+    videoId,
+    start: parseTimeParam(url.searchParams.get('t') ?? url.searchParams.get('start') ?? fragment.get('t') ?? ''),
+    end: parseTimeParam(url.searchParams.get('end') ?? '')
+  };
+}
+
+/**
+ * Create a youtubei.js client
+ */
+async function createInnertube() {
+  // Dynamic import for ES module
+  const { Innertube, UniversalCache } = await import('youtubei.js');
+
+  // Create Innertube instance with cache to help with API stability
+  return Innertube.create({
+    cache: new UniversalCache(false), // Disable caching for fresh requests
+    generate_session_locally: true,   // Generate session locally to avoid some API issues
+  });
+}
+
+/**
+ * Fetch video details (snippet, duration and statistics) from the Data API
+ */
+async function getVideoDetails(videoId, apiKey) {
+  try {
+    const url = `https://www.googleapis.com/youtube/v3/videos?part=snippet,contentDetails,statistics&id=${videoId}&key=${apiKey}`;
+    const response = await axios.get(url);
+    if (response.data.items && response.data.items.length > 0) {
+      return response.data.items[0];
+    }
+    return null;
+  } catch (error) {
+    console.error('Error fetching video details:', error.response?.data || error.message);
+    return null;
+  }
+}
+
+/**
+ * Parse an ISO 8601 duration (PT1H2M3S) into seconds
+ */
+function parseIsoDuration(duration) {
+  const match = String(duration || '').match(/^P(?:(\d+)D)?T?(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?$/);
+  if (!match) {
+    return null;
+  }
+  const [days, hours, minutes, seconds] = match.slice(1).map(part => Number(part) || 0);
+  return ((days * 24 + hours) * 60 + minutes) * 60 + seconds;
+}
+
+/**
+ * Video metadata from youtubei.js, or null if the video cannot be found
+ */
+async function fetchInnertubeMetadata(videoId) {
+  try {
+    const youtube = await createInnertube();
+    const info = await youtube.getBasicInfo(videoId);
+    const details = info.basic_info;
+    if (!details.title || info.playability_status?.status === 'ERROR') {
+      return null;
+    }
+    // The microformat has the publish date; basic_info only has it for live streams
+    const published = info.page[0]?.microformat?.publish_date || details.start_timestamp;
+    const thumbnail = (details.thumbnail || []).slice().sort((a, b) => b.width - a.width)[0];
+    return {
+      title: details.title,
+      author: details.channel?.name || details.author || null,
+      channelId: details.channel_id || details.channel?.id || null,
+      duration: details.duration || null,
+      publishedAt: published ? new Date(published).toISOString() : null,
+      description: details.short_description || null,
+      thumbnail: thumbnail?.url || null,
+      viewCount: details.view_count ?? null
+    };
+  } catch (error) {
+    console.error(`Error fetching video metadata: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Video metadata from a Data API video resource
+ */
+function metadataFromDetails(details) {
+  const { snippet, contentDetails, statistics } = details;
+  const thumbnails = snippet.thumbnails || {};
+  const thumbnail = thumbnails.maxres || thumbnails.high || thumbnails.medium || thumbnails.default;
+  return {
+    title: snippet.title,
+    author: snippet.channelTitle || null,
+    channelId: snippet.channelId || null,
+    duration: parseIsoDuration(contentDetails?.duration),
+    publishedAt: snippet.publishedAt || null,
+    description: snippet.description || null,
+    thumbnail: thumbnail?.url || null,
+    viewCount: statistics?.viewCount !== undefined ? Number(statistics.viewCount) : null
+  };
+}
+
+/**
+ * Fetch a video's metadata with youtubei.js. With a Data API key the Data
+ * API's details fill in whatever youtubei.js could not get (and stand in
+ * for it entirely if it fails). Returns null if neither finds the video.
+ */
+async function fetchVideoMetadata(videoId, { apiKey } = {}) {
+  const [metadata, details] = await Promise.all([
+    fetchInnertubeMetadata(videoId),
+    apiKey ? getVideoDetails(videoId, apiKey) : null
+  ]);
+  if (!details) {
+    return metadata;
+  }
+  const enrichment = metadataFromDetails(details);
+  if (!metadata) {
+    return enrichment;
+  }
+  return Object.fromEntries(Object.entries(metadata).map(([key, value]) => [key, value ?? enrichment[key]]));
+}
+
+/**
+ * Fetch the transcript using youtubei.js
+ * Picks the caption track that best matches the preferred languages (manual
+ * captions over auto-generated) and returns { segments, language }, where
+ * segments are timed ({ start, end, text } in seconds), or null
+ */
+async function fetchTranscript(videoId, languages = DEFAULT_CAPTION_LANGUAGES) {
+  console.log(`Attempting to fetch transcript for video ID: ${videoId}`);
+  try {
+    const youtube = await createInnertube();
+    const info = await youtube.getInfo(videoId);
+
+    const captionTrack = selectCaptionTrack(info.captions?.caption_tracks, languages);
+    const trackName = captionTrack?.name?.toString();
+    const language = captionTrack ? {
+      code: captionTrack.language_code,
+      name: trackName,
+      autoGenerated: captionTrack.kind === 'asr'
+    } : null;
+    if (captionTrack) {
+      console.log(`Selected caption track: ${trackName} (${captionTrack.language_code})`);
+    }
+
+    // Try to get transcript
+    let transcriptData;
+    try {
+      transcriptData = await info.getTranscript();
+
+      // The transcript panel opens on the video's default language; switch to the selected track
+      if (trackName && transcriptData.selectedLanguage !== trackName) {
+        if (!transcriptData.languages.includes(trackName)) {
+          throw new Error(`Caption track "${trackName}" is not available in the transcript panel`);
+        }
+        transcriptData = await transcriptData.selectLanguage(trackName);
+      }
+    } catch (transcriptError) {
+      console.log(`Direct transcript fetch failed: ${transcriptError.message}`);
+      
+      // Fallback: download the selected caption track directly
+      if (captionTrack && captionTrack.base_url) {
+        console.log('Attempting fallback via caption tracks...');
+        const captionResponse = await axios.get(captionTrack.base_url);
+        // Parse XML captions, keeping each cue's timing
+        const captionSegments = parseCaptionXml(captionResponse.data);
+        
+        if (captionSegments.length > 0) {
+          console.log(`✓ Transcript fetched via caption track fallback with ${captionSegments.length} segments`);
+          return { segments: captionSegments, language };
+        }
+      }
+      
+      throw transcriptError;
+    }
+
+    if (transcriptData && transcriptData.transcript) {
+      const initialSegments = transcriptData.transcript.content?.body?.initial_segments;
+      const segments = initialSegments ? fromInnertubeSegments(initialSegments) : [];
+
+      if (segments.length > 0) {
+        console.log(`✓ Transcript fetched with ${segments.length} segments`);
+        return {
+          segments,
+          language: language || { code: null, name: transcriptData.selectedLanguage || null, autoGenerated: false }
+        };
+      }
+    }
+
+    console.log('No transcript segments found.');
+    return null;
+  } catch (error) {
+    console.error(`Failed to fetch transcript: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Download a video's audio track, for speech-to-text when it has no
+ * captions. The most compact audio-only format is chosen (speech needs no
+ * more) and stored like a downloaded video (see storeMedia in lib/media.js),
+ * with the video's duration in seconds. Videos longer than maxSeconds are
+ * rejected (code AUDIO_TOO_LONG) before anything is downloaded.
+ */
+async function downloadAudio(videoId, { inlineMaxBytes, maxBytes, maxSeconds = Infinity, signal } = {}) {
+  const youtube = await createInnertube();
+  const info = await youtube.getBasicInfo(videoId);
+  const duration = info.basic_info.duration || null;
+  if (duration > maxSeconds) {
+    throw Object.assign(
+      new Error(`Video is too long to transcribe (${Math.round(duration / 60)} minutes; the limit is ${Math.round(maxSeconds / 60)}).`),
+      { code: 'AUDIO_TOO_LONG' }
+    );
+  }
+
+  const options = { type: 'audio', quality: 'bestefficiency', format: 'any' };
+  const format = info.chooseFormat(options);
+  console.log(`Downloading audio for ${videoId}: ${format.mime_type}, ${Math.round(format.bitrate / 1000)}kbps`);
+  // download() fetches the format in ranges, which YouTube does not throttle
+  const stream = await info.download(options);
+  const audio = await storeMedia(stream, format.mime_type.split(';')[0], { inlineMaxBytes, maxBytes, signal });
+  return { ...audio, duration };
+}
+
+/**
+ * Enumerate a playlist's videos with youtubei.js, following continuations
+ * until `maxVideos` are found. Returns { id, title, author, videos } where
+ * videos are { id, title, duration } in playlist order.
+ */
+async function fetchPlaylist(playlistId, maxVideos) {
+  console.log(`Fetching playlist: ${playlistId}`);
+  const youtube = await createInnertube();
+
+  let page = await youtube.getPlaylist(playlistId);
+  const playlist = {
+    id: playlistId,
+    title: page.info.title || 'YouTube Playlist',
+    author: page.info.author?.name || null,
+    videos: []
+  };
+  const seen = new Set();
+
+  while (true) {
+    for (const item of page.items) {
+      // Skip Shorts shelves, deleted and private entries
+      if (item.type !== 'PlaylistVideo' || !item.id || item.is_playable === false || seen.has(item.id)) {
+        continue;
+      }
+      seen.add(item.id);
+      playlist.videos.push({
+        id: item.id,
+        title: item.title?.toString() || item.id,
+        duration: item.duration?.seconds || null
+      });
+      if (playlist.videos.length >= maxVideos) {
+        return playlist;
+      }
+    }
+    if (!page.has_continuation) {
+      return playlist;
+    }
+    page = await page.getContinuation();
+  }
+}
+
+module.exports = {
+  parseTimeParam,
+  parseYouTubeUrl,
+  getVideoDetails,
+  fetchVideoMetadata,
+  fetchTranscript,
+  downloadAudio,
+  fetchPlaylist
+};
@@ -0,0 +1,26 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { exportSummary, exportTranscript } = require('../lib/export');
+
+const result = {
+  id: 'x',
+  source: 'youtube',
+  videoId: 'dQw4w9WgXcQ',
+  videoTitle: 'Video',
+  transcript: 'hello',
+  segments: [{ start: 0, end: 2, text: 'hello' }],
+  summary: { title: 'Video', tldr: 'tl', takeaways: [], sections: [], conclusion: '', topics: [] },
+  htmlContent: '<p>Summary</p>'
+};
+
+test('exports a summary and a transcript in each known format', () => {
+  assert.equal(exportSummary(result, 'md').filename, 'summary_x.md');
+  assert.equal(exportTranscript(result, 'srt').filename, 'transcript_x.srt');
+});
+
+test('rejects formats that are only names of Object.prototype', () => {
+  for (const format of ['constructor', 'toString', '__proto__', 'hasOwnProperty']) {
+    assert.throws(() => exportSummary(result, format), { code: 'UNSUPPORTED_FORMAT' }, format);
+    assert.throws(() => exportTranscript(result, format), { code: 'UNSUPPORTED_FORMAT' }, format);
+  }
+});
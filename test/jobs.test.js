@@ -0,0 +1,159 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { setTimeout: sleep } = require('timers/promises');
+const http = require('http');
+const { createMemoryJobStore, createKvJobStore, createJobRunner } = require('../lib/jobs');
+
+// A job record as another server instance left it
+function foreignJob(id, updatedAt) {
+  return {
+    id,
+    type: 'summary',
+    status: 'running',
+    meta: {},
+    progress: null,
+    result: null,
+    error: null,
+    createdAt: updatedAt,
+    updatedAt,
+    startedAt: updatedAt,
+    finishedAt: null,
+    instance: 'another-instance'
+  };
+}
+
+test('a job runs to completion and its record hides runner bookkeeping', async () => {
+  const jobs = createJobRunner({ store: createMemoryJobStore() });
+  jobs.define('summary', async input => `done: ${input.videoId}`);
+  const submitted = await jobs.submit('summary', { videoId: 'dQw4w9WgXcQ' });
+  assert.equal(submitted.status, 'queued');
+  assert.equal('instance' in submitted, false);
+
+  await sleep(20);
+  const job = await jobs.get(submitted.id);
+  assert.equal(job.status, 'succeeded');
+  assert.equal(job.result, 'done: dQw4w9WgXcQ');
+});
+
+test('an active job another instance keeps touching is left alone', async () => {
+  const store = createMemoryJobStore();
+  const jobs = createJobRunner({ store });
+  await store.set(foreignJob('live', new Date().toISOString()));
+
+  const job = await jobs.get('live');
+  assert.equal(job.status, 'running');
+  assert.equal('instance' in job, false);
+});
+
+test('an active job another instance stopped touching is reported as interrupted', async () => {
+  const store = createMemoryJobStore();
+  const jobs = createJobRunner({ store, heartbeatMs: 1000 });
+  await store.set(foreignJob('stale', new Date(Date.now() - 5000).toISOString()));
+
+  const job = await jobs.get('stale');
+  assert.equal(job.status, 'failed');
+  assert.match(job.error.message, /interrupted/);
+  assert.equal((await store.get('stale')).status, 'failed');
+});
+
+test('running jobs are touched on every heartbeat', async () => {
+  const store = createMemoryJobStore();
+  const jobs = createJobRunner({ store, heartbeatMs: 20 });
+  const controller = new AbortController();
+  const finish = new Promise(resolve => controller.signal.addEventListener('abort', resolve));
+  jobs.define('summary', () => finish);
+  const submitted = await jobs.submit('summary', {});
+
+  await sleep(10);
+  const started = (await store.get(submitted.id)).updatedAt;
+  await sleep(60);
+  assert.ok((await store.get(submitted.id)).updatedAt > started);
+  controller.abort();
+});
+
+test('a dispatched job runs where it is executed, and its input is not stored', async () => {
+  const store = createMemoryJobStore();
+  const worker = createJobRunner({ store });
+  const jobs = createJobRunner({ store, dispatch: (job, input) => { worker.execute(job.id, input); } });
+  for (const runner of [jobs, worker]) {
+    runner.define('summary', async input => `done: ${input.key}`);
+  }
+
+  const submitted = await jobs.submit('summary', { key: 'secret' });
+  assert.doesNotMatch(JSON.stringify(await store.get(submitted.id)), /secret/);
+  await sleep(20);
+  const job = await jobs.get(submitted.id);
+  assert.equal(job.status, 'succeeded');
+  assert.equal(job.result, 'done: secret');
+  // A job already taken on is not run twice
+  assert.equal((await worker.execute(submitted.id, { key: 'again' })).result, 'done: secret');
+});
+
+test('a job that cannot be dispatched is saved as failed', async () => {
+  const store = createMemoryJobStore();
+  let dispatched;
+  const jobs = createJobRunner({
+    store,
+    dispatch: async (job) => {
+      dispatched = job;
+      throw Object.assign(new Error('No worker'), { status: 503 });
+    }
+  });
+  jobs.define('summary', async () => 'done');
+
+  await assert.rejects(jobs.submit('summary', {}), /No worker/);
+  const job = await jobs.get(dispatched.id);
+  assert.equal(job.status, 'failed');
+  assert.deepEqual(job.error, { status: 503, message: 'No worker' });
+});
+
+test('cancelling a job another runner executes stops it there', async () => {
+  const store = createMemoryJobStore();
+  const worker = createJobRunner({ store, heartbeatMs: 20 });
+  const jobs = createJobRunner({ store, dispatch: (job, input) => { worker.execute(job.id, input); } });
+  let aborted = false;
+  const handler = (input, { signal }) => new Promise((resolve, reject) => {
+    signal.addEventListener('abort', () => {
+      aborted = true;
+      reject(signal.reason);
+    });
+  });
+  jobs.define('summary', handler);
+  worker.define('summary', handler);
+
+  const submitted = await jobs.submit('summary', {});
+  await sleep(10);
+  assert.equal((await jobs.get(submitted.id)).status, 'running');
+  assert.equal((await jobs.cancel(submitted.id)).status, 'cancelled');
+  await sleep(60);
+  assert.equal(aborted, true);
+  assert.equal((await store.get(submitted.id)).status, 'cancelled');
+  await assert.rejects(jobs.cancel(submitted.id), { code: 'JOB_FINISHED' });
+});
+
+test('the kv store keeps jobs in Redis through its REST API', async () => {
+  const data = new Map();
+  const commands = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const [command, key, value, ...options] = JSON.parse(body);
+      commands.push({ command, auth: req.headers.authorization, options });
+      const result = command === 'SET' ? (data.set(key, value), 'OK') : command === 'GET' ? data.get(key) ?? null : Number(data.delete(key));
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify({ result }));
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  try {
+    const store = createKvJobStore({ url: `http://127.0.0.1:${server.address().port}`, token: 'kv-token', ttl: 60 });
+    await store.set(foreignJob('kv', new Date().toISOString()));
+    assert.equal((await store.get('kv')).status, 'running');
+    await store.delete('kv');
+    assert.equal(await store.get('kv'), null);
+    assert.deepEqual(commands[0], { command: 'SET', auth: 'Bearer kv-token', options: ['EX', 60] });
+  } finally {
+    server.close();
+  }
+});
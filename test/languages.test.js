@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { selectCaptionTrack, parseLanguageList } = require('../lib/languages');
+
+const track = (language_code, kind) => ({ language_code, kind });
+
+test('prefers a manual track in a regional variant over an auto-generated exact match', () => {
+  const tracks = [track('es', 'asr'), track('es-419'), track('en')];
+  assert.equal(selectCaptionTrack(tracks, ['es']), tracks[1]);
+});
+
+test('prefers the exact code among tracks of the same kind', () => {
+  const manual = [track('pt-PT'), track('pt'), track('pt-BR')];
+  assert.equal(selectCaptionTrack(manual, ['pt']), manual[1]);
+  const generated = [track('pt-BR', 'asr'), track('pt', 'asr')];
+  assert.equal(selectCaptionTrack(generated, ['pt']), generated[1]);
+});
+
+test('falls back to an auto-generated track when the language has no manual one', () => {
+  const tracks = [track('en'), track('de', 'asr')];
+  assert.equal(selectCaptionTrack(tracks, ['de']), tracks[1]);
+});
+
+test('tries the preferred languages in order, then any manual track', () => {
+  const tracks = [track('fr', 'asr'), track('it'), track('ja', 'asr')];
+  assert.equal(selectCaptionTrack(tracks, ['ko', 'ja']), tracks[2]);
+  assert.equal(selectCaptionTrack(tracks, ['ko']), tracks[1]);
+  assert.equal(selectCaptionTrack([], ['en']), null);
+});
+
+test('parseLanguageList reads lists and comma-separated text', () => {
+  assert.deepEqual(parseLanguageList('es, pt-BR,'), ['es', 'pt-BR']);
+  assert.deepEqual(parseLanguageList([' de ', '']), ['de']);
+  assert.deepEqual(parseLanguageList(undefined), []);
+});
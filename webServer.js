@@ -1,746 +1,557 @@
 require('dotenv').config();
 const express = require('express');
-const fs = require('fs');
-const axios = require('axios');
+const crypto = require('crypto');
 // const { Innertube } = require('youtubei.js'); // Remove this - will use dynamic import
-const OpenAI = require('openai');
-const { GoogleGenerativeAI } = require('@google/generative-ai');
 // const { paymentMiddleware } = require('x402-express'); // Removed - using direct donations
-const { exec } = require('child_process');
 const path = require('path');
 const cors = require('cors');
+const { splitTranscript, DEFAULT_CHUNK_SIZE, DEFAULT_CHUNK_OVERLAP } = require('./lib/chunking');
+const { segmentsToText, formatTimedTranscript, formatTimestamp, sliceSegments, youtubeTimestampUrl } = require('./lib/transcript');
+const { parseLanguageList, languageName } = require('./lib/languages');
+const {
+  listTemplates,
+  resolveTemplate,
+  buildSummaryPrompt,
+  buildVideoPrompt,
+  buildDigestPrompt,
+  buildAnswerPrompt,
+  buildChunkPrompt
+} = require('./lib/prompts');
+const { toGeminiSchema, parseSummary, parsePartialSummary, renderSummaryHTML } = require('./lib/summary');
+const { exportSummary, exportTranscript, downloadLinks, stripEmphasis } = require('./lib/export');
+const { hashKey, createFileCache, ttlFromEnv } = require('./lib/cache');
+const { openEventStream } = require('./lib/sse');
+const { createJobStore, createJobRunner } = require('./lib/jobs');
+const { createZip } = require('./lib/zip');
+const { mapWithConcurrency } = require('./lib/concurrency');
+const { parsePlaylistId, playlistUrl, renderPlaylistHTML } = require('./lib/playlist');
+const { createSubscriptionService } = require('./lib/subscriptions');
+const { renderAtomFeed, renderRssFeed, renderDigestHTML, renderSitemap } = require('./lib/feeds');
+const { createPermalinkStore } = require('./lib/permalinks');
+const { createRateLimiter, createDailyQuota, createAccessTokenStore, secretsMatch } = require('./lib/access');
+const { loadPrices, createUsageMeter, mergeUsage, createUsageLedger } = require('./lib/usage');
+const {
+  getProvider,
+  listProviders,
+  resolveModel,
+  createResilientGenerator,
+  generateGeminiContent
+} = require('./lib/providers');
+const { withRetry } = require('./lib/retry');
+const { downloadVideo, uploadGeminiFile, waitForGeminiFile, deleteGeminiFile } = require('./lib/media');
+const { parseYouTubeUrl, parseTimeParam, fetchPlaylist, downloadAudio } = require('./lib/youtube');
+const { listTranscribers } = require('./lib/speech');
+const { getSource, detectSource, listSources } = require('./lib/sources');
+const { buildPassages, retrievePassages, extractCitations, renderAnswerHTML, formatPassages } = require('./lib/qa');
+const { renderSummaryPage, sourceTheme } = require('./lib/page');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// The web interface's own scripts and styles are inline, and it only talks to this server
+const APP_CONTENT_SECURITY_POLICY = [
+  "default-src 'self'",
+  "script-src 'self' 'unsafe-inline'",
+  "style-src 'self' 'unsafe-inline'",
+  "img-src 'self' https: data: blob:",
+  "connect-src 'self'",
+  "object-src 'none'",
+  "base-uri 'none'",
+  "frame-ancestors 'none'"
+].join('; ');
+
+// Generated summary pages run no scripts at all; their styles are inline and
+// video thumbnails come from YouTube
+const SUMMARY_PAGE_CONTENT_SECURITY_POLICY = [
+  "default-src 'none'",
+  "style-src 'unsafe-inline'",
+  "img-src https: data:",
+  "base-uri 'none'",
+  "form-action 'none'",
+  "frame-ancestors 'none'"
+].join('; ');
+
+// Behind a proxy (Vercel, a load balancer), req.ip should be the client's
+// address, which rate limits go by: TRUST_PROXY is Express's "trust proxy"
+// setting (a hop count, true, or addresses)
+const TRUST_PROXY = process.env.TRUST_PROXY ?? (process.env.VERCEL ? '1' : '');
+if (TRUST_PROXY && TRUST_PROXY !== 'false') {
+  app.set('trust proxy', /^\d+$/.test(TRUST_PROXY) ? Number(TRUST_PROXY) : TRUST_PROXY === 'true' || TRUST_PROXY);
+}
+
+/**
+ * The site's absolute URL, for links that leave it (Open Graph tags, the
+ * sitemap, feeds): PUBLIC_URL, else the host the request was made to
+ */
+function siteUrl(req) {
+  return (process.env.PUBLIC_URL || `${req.protocol}://${req.get('host')}`).replace(/\/+$/, '');
+}
+
+// Other sites may only call the API from a browser if CORS_ORIGINS lists
+// them (comma-separated origins, or * for any)
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean);
+
 // Middleware
-app.use(cors()); // Enable CORS for all routes
+if (CORS_ORIGINS.length > 0) {
+  app.use(cors({
+    origin: CORS_ORIGINS.includes('*') ? '*' : CORS_ORIGINS,
+    exposedHeaders: ['Location', 'Retry-After', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset']
+  }));
+}
+app.use((req, res, next) => {
+  res.setHeader('Content-Security-Policy', APP_CONTENT_SECURITY_POLICY);
+  res.setHeader('X-Content-Type-Options', 'nosniff');
+  next();
+});
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 app.use(express.static(path.join(__dirname, 'public')));
 
-// Initialize OpenAI (will be set dynamically per request)
-let openai = null;
+// Persistent cache for transcripts, summaries and downloadable results
+const cache = createFileCache({
+  ttl: {
+    transcripts: ttlFromEnv('TRANSCRIPT_CACHE_TTL_DAYS', 7),
+    summaries: ttlFromEnv('SUMMARY_CACHE_TTL_DAYS', 30),
+    results: ttlFromEnv('SUMMARY_CACHE_TTL_DAYS', 30),
+    batches: ttlFromEnv('SUMMARY_CACHE_TTL_DAYS', 30)
+  }
+});
+
+// Retries of transient AI provider errors (rate limits, overloaded models)
+const RETRY_OPTIONS = {
+  retries: Number(process.env.AI_RETRIES ?? 2),
+  baseDelayMs: Number(process.env.AI_RETRY_BASE_DELAY_MS) || 1000,
+  maxDelayMs: Number(process.env.AI_RETRY_MAX_DELAY_MS) || 30000
+};
+
+// Background jobs for /api/jobs and /api/batch. They run in this process, or
+// with JOB_RUNNER=dispatch (the default on Vercel) each in an invocation of
+// its own, which outlives the request that started the job; dispatched jobs
+// need a store every instance shares (JOB_STORE=kv).
+const JOB_RUNNER = process.env.JOB_RUNNER || (process.env.VERCEL ? 'dispatch' : 'local');
+const JOB_WORKER_URL = process.env.JOB_WORKER_URL || (process.env.VERCEL_URL ? `https://${process.env.VERCEL_URL}` : `http://127.0.0.1:${PORT}`);
 
 /**
- * Check if URL is a Twitter/X URL
+ * Hand a job to a worker invocation of this server (POST /api/jobs/:id/run).
+ * Resolves once the worker has answered 202, without waiting for the job.
  */
-function isTwitterUrl(url) {
-  return /twitter\.com|x\.com/.test(url) && /status\/\d+/.test(url);
+async function dispatchJob(job, input) {
+  if (!process.env.JOB_WORKER_SECRET) {
+    throw httpError(503, 'Background jobs are not set up on this server (set JOB_WORKER_SECRET).');
+  }
+  const response = await fetch(`${JOB_WORKER_URL}/api/jobs/${job.id}/run`, {
+    method: 'POST',
+    headers: {
+      Authorization: `Bearer ${process.env.JOB_WORKER_SECRET}`,
+      'Content-Type': 'application/json',
+      // Lets the request through Vercel's deployment protection
+      ...(process.env.VERCEL_AUTOMATION_BYPASS_SECRET && { 'x-vercel-protection-bypass': process.env.VERCEL_AUTOMATION_BYPASS_SECRET })
+    },
+    body: JSON.stringify({ input })
+  });
+  // The worker holds its response open until the job is done; only the status matters here
+  response.body?.cancel().catch(() => {});
+  if (response.status !== 202) {
+    throw httpError(502, `Could not start the job: its worker answered ${response.status}.`);
+  }
 }
 
+const jobs = createJobRunner({
+  store: createJobStore(process.env.JOB_STORE || 'file', { ttl: ttlFromEnv('JOB_TTL_DAYS', 1) }),
+  concurrency: Number(process.env.JOB_CONCURRENCY) || 2,
+  dispatch: JOB_RUNNER === 'dispatch' ? dispatchJob : null
+});
+
+// Shareable summary pages at /s/:slug; PERMALINKS=off stops publishing new ones
+const PERMALINKS_ENABLED = process.env.PERMALINKS !== 'off';
+const permalinks = createPermalinkStore({ cache });
+
+// Who may use the server's own API keys: with SERVER_KEYS=open (the default)
+// anyone, up to ANONYMOUS_DAILY_QUOTA requests per IP a day; with
+// SERVER_KEYS=token only callers with an access token, up to its daily quota.
+// Callers can always bring their own keys.
+const SERVER_KEYS = process.env.SERVER_KEYS === 'token' ? 'token' : 'open';
+const ANONYMOUS_DAILY_QUOTA = Number(process.env.ANONYMOUS_DAILY_QUOTA ?? 25);
+const accessTokens = createAccessTokenStore({ cache, defaultDailyQuota: Number(process.env.TOKEN_DAILY_QUOTA ?? 200) });
+const dailyQuota = createDailyQuota({ cache });
+
+// Requests per minute to the routes that run AI models, per IP and per access token
+const ipRateLimiter = createRateLimiter({ limit: Number(process.env.RATE_LIMIT_PER_MINUTE ?? 10) });
+const tokenRateLimiter = createRateLimiter({ limit: Number(process.env.TOKEN_RATE_LIMIT_PER_MINUTE ?? 60) });
+
+// Token usage and estimated costs (see lib/usage.js); AI_PRICES adds to or changes the price table
+const PRICES = loadPrices(process.env.AI_PRICES);
+const usageLedger = createUsageLedger({ cache, retentionSeconds: ttlFromEnv('USAGE_RETENTION_DAYS', 400) });
+
 /**
- * Extract tweet ID from Twitter/X URL
+ * Add a request's usage record to the ledger; accounting never fails a request
  */
-function extractTweetId(url) {
-  const match = url.match(/status\/(\d+)/);
-  return match ? match[1] : null;
+async function recordUsage(usage) {
+  try {
+    await usageLedger.record(usage);
+  } catch (error) {
+    console.error('Failed to record usage:', error.message);
+  }
 }
 
 /**
- * Process Twitter/X video using Gemini's video understanding
- * Uses a third-party service to get video URL, then Gemini to analyze
+ * Process a video post from a media source (Twitter/X, TikTok, ...) using
+ * Gemini's video understanding: the source adapter finds the video file
+ * (see lib/sources.js), then Gemini watches it
  */
-async function processTwitterVideo(tweetUrl, apiKey) {
-  console.log('Processing Twitter/X video:', tweetUrl);
-  
-  const tweetId = extractTweetId(tweetUrl);
-  if (!tweetId) {
-    throw new Error('Could not extract tweet ID from URL');
-  }
+async function processMediaVideo(source, id, url, apiKey, { model, outputLanguage, template = resolveTemplate(), onProgress, onToken, onUsage, signal } = {}) {
+  console.log(`Processing ${source.label} video:`, url);
 
   try {
-    // Method 1: Use fxtwitter.com API (free, no auth required)
-    // This service provides video URLs from tweets
-    const fxUrl = `https://api.fxtwitter.com/status/${tweetId}`;
-    console.log('Fetching tweet data from fxtwitter:', fxUrl);
-    
-    const response = await axios.get(fxUrl, {
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
-      },
-      timeout: 15000
-    });
-
-    const tweetData = response.data;
-    
-    if (!tweetData.tweet) {
-      throw new Error('Could not fetch tweet data');
-    }
-
-    const tweet = tweetData.tweet;
-    const tweetText = tweet.text || '';
-    const authorName = tweet.author?.name || 'Unknown';
-    
-    // Check for video in media
-    let videoUrl = null;
-    if (tweet.media?.videos && tweet.media.videos.length > 0) {
-      // Get the highest quality video URL
-      const video = tweet.media.videos[0];
-      videoUrl = video.url || (video.variants && video.variants[video.variants.length - 1]?.url);
-    } else if (tweet.media?.all && tweet.media.all.length > 0) {
-      // Check in 'all' media array
-      for (const media of tweet.media.all) {
-        if (media.type === 'video' && media.url) {
-          videoUrl = media.url;
-          break;
-        }
-      }
-    }
-
-    if (!videoUrl) {
-      throw new Error('No video found in this tweet. Make sure the tweet contains a video.');
+    const media = await source.resolveMedia(id, url, { signal });
+    console.log('Found video URL:', media.mediaUrl);
+    if (onProgress) {
+      onProgress({ stage: 'metadata', videoTitle: media.title, duration: media.duration });
     }
 
-    console.log('Found video URL:', videoUrl);
+    const summary = await analyzeVideoWithGemini(media, apiKey, { sourceLabel: source.label, model, outputLanguage, template, onProgress, onToken, onUsage, signal });
 
-    // Use Gemini to analyze the video directly via URL
-    const summary = await analyzeVideoWithGemini(videoUrl, tweetText, authorName, apiKey);
-    
     return {
-      videoTitle: `Twitter Video by @${authorName}`,
-      transcript: `Tweet: ${tweetText}\n\n[Video content analyzed by AI]`,
-      summary: summary,
-      tweetId: tweetId
+      videoTitle: media.title,
+      author: media.author,
+      url: media.url,
+      transcript: `${media.text ? `Post: ${media.text}\n\n` : ''}[Video content analyzed by AI]`,
+      summary,
+      duration: media.duration
     };
 
   } catch (error) {
-    console.error('Twitter video processing error:', error.message);
-    
+    console.error(`${source.label} video processing error:`, error.message);
+
     // Provide helpful error messages
-    if (error.message.includes('No video found')) {
+    if (error.code === 'NO_MEDIA' || error.code === 'VIDEO_TOO_LARGE' || error.code === 'BLOCKED_ADDRESS') {
       throw error;
     } else if (error.response?.status === 404) {
-      throw new Error('Tweet not found. Make sure the tweet exists and is public.');
+      throw new Error(`${source.label} post not found. Make sure it exists and is public.`);
     } else if (error.code === 'ECONNABORTED') {
       throw new Error('Request timed out. Please try again.');
     } else {
-      throw new Error(`Failed to process Twitter video: ${error.message}`);
+      throw new Error(`Failed to process ${source.label} video: ${error.message}`);
     }
   }
 }
 
+// Videos up to GEMINI_INLINE_VIDEO_MB are sent inline (Gemini's inline data limit is
+// 20MB after base64); larger ones, up to VIDEO_MAX_MB, go through the Gemini File API
+const INLINE_VIDEO_MAX_BYTES = (Number(process.env.GEMINI_INLINE_VIDEO_MB) || 15) * 1024 * 1024;
+const VIDEO_MAX_BYTES = (Number(process.env.VIDEO_MAX_MB) || 500) * 1024 * 1024;
+
 /**
  * Analyze video using Gemini's video understanding capability
+ * `media` is what a media source adapter resolved (see lib/sources.js).
+ * Small videos are sent inline; larger ones are streamed to disk, uploaded
+ * with the Gemini File API and deleted again afterwards.
+ * Returns a structured summary (see lib/summary.js); with onToken the
+ * response is streamed, and onUsage receives the analysis's tokens (see
+ * lib/usage.js). Aborting `signal` stops the download and the analysis.
  */
-async function analyzeVideoWithGemini(videoUrl, tweetText, authorName, apiKey) {
+async function analyzeVideoWithGemini(media, apiKey, { sourceLabel, model = resolveModel('gemini'), outputLanguage, template = resolveTemplate(), onProgress, onToken, onUsage, signal } = {}) {
   console.log('Analyzing video with Gemini...');
+  const progress = event => onProgress && onProgress(event);
+  // Only Gemini analyzes video, so transient errors are retried but never failed over
+  const retry = {
+    ...RETRY_OPTIONS,
+    signal,
+    onRetry: ({ attempt, delayMs, error }) => progress({ stage: 'retry', provider: 'gemini', attempt, delayMs, reason: error.message })
+  };
+
+  const video = await downloadVideo(media.mediaUrl, {
+    inlineMaxBytes: INLINE_VIDEO_MAX_BYTES,
+    maxBytes: VIDEO_MAX_BYTES,
+    headers: {
+      'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
+    },
+    signal
+  });
+  const sizeMB = Number((video.size / (1024 * 1024)).toFixed(2));
+  console.log(`Video downloaded: ${sizeMB}MB`);
+  progress({ stage: 'video', sizeMB });
 
-  // Download video to buffer for Gemini (since Gemini File API needs the actual file)
-  // For serverless, we'll use inline data with size limits
-  
+  let uploaded = null;
   try {
-    // Download video (limited to ~15MB for inline processing)
-    const videoResponse = await axios.get(videoUrl, {
-      responseType: 'arraybuffer',
-      timeout: 60000,
-      maxContentLength: 15 * 1024 * 1024, // 15MB limit
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
-      }
-    });
-
-    const videoBase64 = Buffer.from(videoResponse.data).toString('base64');
-    const videoSize = videoResponse.data.length / (1024 * 1024);
-    console.log(`Video downloaded: ${videoSize.toFixed(2)}MB`);
-
-    // Determine mime type from URL or default to mp4
-    let mimeType = 'video/mp4';
-    if (videoUrl.includes('.webm')) mimeType = 'video/webm';
-    else if (videoUrl.includes('.mov')) mimeType = 'video/mov';
-
-    const prompt = `You are analyzing a Twitter/X video. Please provide a comprehensive summary formatted as HTML.
-
-Tweet text: "${tweetText}"
-Posted by: @${authorName}
-
-Please analyze the video and format your response as clean HTML:
-
-1. Use <h3>🎬 Video Description</h3> followed by a <p> describing what's happening
-2. Use <h3>🗣️ Spoken Content</h3> with a <p> for any transcribed dialogue (if applicable)
-3. Use <h3>📌 Key Takeaways</h3> followed by <ul><li> bullet points
-4. Use <h3>💡 Conclusion</h3> with a <p> for the final summary
-
-Style guidelines:
-- Use <strong> to emphasize key terms or concepts
-- Keep the HTML simple and clean (no CSS classes needed)
-- Do NOT include <html>, <head>, <body> tags - just the content
-- Do NOT wrap in code blocks or markdown
-- If no spoken content, you can skip that section
-
-Start directly with the <h3> tag.`;
+    let videoPart;
+    if (video.buffer) {
+      videoPart = { inline_data: { mime_type: video.mimeType, data: video.buffer.toString('base64') } };
+    } else {
+      progress({ stage: 'upload', sizeMB });
+      uploaded = await withRetry(() => uploadGeminiFile(video, apiKey, { displayName: media.title, signal }), retry);
+      // The local copy is not needed once Gemini has it
+      await video.cleanup();
+      uploaded = await waitForGeminiFile(uploaded, apiKey, { signal });
+      videoPart = { file_data: { mime_type: uploaded.mimeType, file_uri: uploaded.uri } };
+    }
 
-    const response = await fetch(`https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash:generateContent?key=${apiKey}`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({
-        contents: [{
-          parts: [
-            {
-              inline_data: {
-                mime_type: mimeType,
-                data: videoBase64
-              }
-            },
-            {
-              text: prompt
-            }
-          ]
-        }],
-        generationConfig: {
-          temperature: 0.7,
-          maxOutputTokens: 4000,
-        }
-      })
+    const context = [media.text ? `Post text: "${media.text}"` : '', `Posted by: ${media.author}`].filter(Boolean).join('\n');
+    const { system, prompt, schema, maxTokens } = buildVideoPrompt(template, media.title, context, {
+      language: languageName(outputLanguage) || 'English',
+      source: sourceLabel && `${sourceLabel} video`
     });
 
-    if (!response.ok) {
-      const errorData = await response.json();
-      console.error('Gemini video analysis error:', errorData);
-      throw new Error(`Gemini API error: ${errorData.error?.message || response.statusText}`);
+    progress({ stage: 'summarizing', provider: 'gemini' });
+    let streamed = false;
+    const { text, usage } = await withRetry(() => generateGeminiContent(model, apiKey, {
+      contents: [{
+        parts: [
+          videoPart,
+          {
+            text: prompt
+          }
+        ]
+      }],
+      systemInstruction: {
+        parts: [{ text: system }]
+      },
+      generationConfig: {
+        temperature: 0.7,
+        maxOutputTokens: maxTokens,
+        responseMimeType: 'application/json',
+        responseSchema: toGeminiSchema(schema)
+      }
+    }, {
+      onToken: onToken && (token => {
+        streamed = true;
+        onToken(token);
+      }),
+      signal
+    }), { ...retry, canRetry: () => !streamed });
+    if (usage && onUsage) {
+      onUsage({ provider: 'gemini', model, ...usage });
     }
 
-    const data = await response.json();
-    
-    if (data.candidates && data.candidates[0]?.content?.parts?.[0]?.text) {
-      return data.candidates[0].content.parts[0].text;
-    } else {
+    if (!text) {
       throw new Error('Unexpected Gemini response format');
     }
-
-  } catch (error) {
-    if (error.message.includes('maxContentLength')) {
-      throw new Error('Video is too large to process. Maximum size is 15MB.');
+    return parseSummary(text);
+  } finally {
+    await video.cleanup();
+    if (uploaded) {
+      await deleteGeminiFile(uploaded, apiKey);
     }
-    throw error;
   }
 }
 
+// Transcripts longer than this are summarized in overlapping chunks (map-reduce)
+const SINGLE_PASS_MAX_CHARS = 60000;
+
 /**
- * Fetch video details to verify the video exists
+ * Summarize the transcript using the selected AI provider.
+ * Accepts plain text or timed segments; with segments the model cites
+ * [m:ss] timestamps for each takeaway.
+ * Long transcripts are split into overlapping chunks, each chunk is condensed
+ * into notes, and the notes are merged into the final summary.
+ * The summary is written in `outputLanguage` (code or name), English by default,
+ * using the given prompt template (see lib/prompts.js).
+ * onProgress receives chunk and summarizing stage events; onToken receives the
+ * final summary's tokens as they are generated. Aborting `signal` cancels
+ * the AI requests. `model` defaults to the provider's default model.
+ * Transient provider errors are retried (RETRY_OPTIONS); if the provider
+ * stays unavailable, the `fallbacks` ({ provider, model, apiKey }) are tried
+ * in order, reported as retry and failover stage events. onUsage receives
+ * the tokens of each AI call (see lib/usage.js).
+ * Returns a validated structured summary (see lib/summary.js).
  */
-async function getVideoDetails(videoId, apiKey) {
-  try {
-    const url = `https://www.googleapis.com/youtube/v3/videos?part=snippet&id=${videoId}&key=${apiKey}`;
-    const response = await axios.get(url);
-    if (response.data.items && response.data.items.length > 0) {
-      return response.data.items[0];
-    }
-    return null;
-  } catch (error) {
-    console.error('Error fetching video details:', error.response?.data || error.message);
-    return null;
+async function summarizeTranscript(transcript, videoTitle, aiProvider = 'openai', apiKey, { model, fallbacks = [], onProgress, onToken, onUsage, signal, outputLanguage, template = resolveTemplate() } = {}) {
+  console.log(`\nSending transcript to ${aiProvider.toUpperCase()}${model ? ` (${model})` : ''} for summarization...`);
+
+  const timed = Array.isArray(transcript);
+  if (timed) {
+    transcript = formatTimedTranscript(transcript);
   }
-}
+  const language = languageName(outputLanguage) || 'English';
 
-/**
- * Fetch the transcript using youtubei.js
- */
-async function fetchTranscript(videoId) {
-  console.log(`Attempting to fetch transcript for video ID: ${videoId}`);
   try {
-    // Dynamic import for ES module
-    const { Innertube, UniversalCache } = await import('youtubei.js');
-
-    // Create Innertube instance with cache to help with API stability
-    const youtube = await Innertube.create({
-      cache: new UniversalCache(false), // Disable caching for fresh requests
-      generate_session_locally: true,   // Generate session locally to avoid some API issues
+    const progress = event => onProgress && onProgress(event);
+    const providerGenerate = createResilientGenerator([{ provider: aiProvider, model, apiKey }, ...fallbacks], {
+      retry: RETRY_OPTIONS,
+      onRetry: ({ provider, attempt, delayMs, error }) => progress({ stage: 'retry', provider, attempt, delayMs, reason: error.message }),
+      onFailover: ({ from, to, model: toModel, error }) => progress({ stage: 'failover', from, to, model: toModel, reason: error.message })
     });
+    const generate = request => providerGenerate({ ...request, signal, onUsage });
 
-    const info = await youtube.getInfo(videoId);
-
-    // Try to get transcript
-    let transcriptData;
-    try {
-      transcriptData = await info.getTranscript();
-    } catch (transcriptError) {
-      console.log(`Direct transcript fetch failed: ${transcriptError.message}`);
-      
-      // Fallback: try to get captions from the video info
-      if (info.captions && info.captions.caption_tracks && info.captions.caption_tracks.length > 0) {
-        console.log('Attempting fallback via caption tracks...');
-        const captionTrack = info.captions.caption_tracks.find(track => track.language_code === 'en') 
-                          || info.captions.caption_tracks[0];
-        
-        if (captionTrack && captionTrack.base_url) {
-          const captionResponse = await axios.get(captionTrack.base_url);
-          // Parse XML captions
-          const captionText = captionResponse.data
-            .replace(/<[^>]*>/g, ' ')  // Remove XML tags
-            .replace(/&#39;/g, "'")
-            .replace(/&quot;/g, '"')
-            .replace(/&amp;/g, '&')
-            .replace(/&lt;/g, '<')
-            .replace(/&gt;/g, '>')
-            .replace(/\s+/g, ' ')
-            .trim();
-          
-          if (captionText) {
-            console.log(`✓ Transcript fetched via caption track fallback`);
-            return captionText;
-          }
-        }
-      }
-      
-      throw transcriptError;
-    }
+    // Only the final summary is streamed; chunk notes are intermediate
+    const generateSummary = (content, fromNotes) => {
+      progress({ stage: 'summarizing', provider: providerGenerate.used.provider, fromNotes });
+      return generate({ ...buildSummaryPrompt(template, videoTitle, content, { fromNotes, timed, language }), onToken });
+    };
 
-    if (transcriptData && transcriptData.transcript) {
-      const segments = transcriptData.transcript.content?.body?.initial_segments;
+    let chunks = transcript.length > SINGLE_PASS_MAX_CHARS ? splitTranscript(transcript) : [transcript];
 
-      if (segments && segments.length > 0) {
-        const transcriptText = segments.map(seg => seg.snippet?.text || '').filter(Boolean).join(' ');
-        console.log(`✓ Transcript fetched with ${segments.length} segments`);
-        return transcriptText;
+    if (chunks.length === 1) {
+      try {
+        return parseSummary(await generateSummary(transcript, false));
+      } catch (error) {
+        if (error.code !== 'MAX_TOKENS') {
+          throw error;
+        }
+        console.log('Single-pass summary was truncated, falling back to chunked summarization');
+        chunks = splitTranscript(transcript, {
+          chunkSize: Math.min(DEFAULT_CHUNK_SIZE, Math.ceil(transcript.length / 2) + DEFAULT_CHUNK_OVERLAP)
+        });
       }
     }
 
-    console.log('No transcript segments found.');
-    return null;
-  } catch (error) {
-    console.error(`Failed to fetch transcript: ${error.message}`);
-    return null;
-  }
-}/**
- * Summarize the transcript using OpenAI
- */
-async function summarizeTranscript(transcript, videoTitle, aiProvider = 'openai', apiKey) {
-  console.log(`\nSending transcript to ${aiProvider.toUpperCase()} for summarization...`);
-
-  try {
-    if (aiProvider === 'openai') {
-      return await summarizeWithOpenAI(transcript, videoTitle, apiKey);
-    } else if (aiProvider === 'gemini') {
-      return await summarizeWithGemini(transcript, videoTitle, apiKey);
-    } else {
-      throw new Error(`Unsupported AI provider: ${aiProvider}`);
-    }
+    const notes = await summarizeChunks(chunks, videoTitle, generate, onProgress, timed);
+    return parseSummary(await generateSummary(notes, true));
   } catch (error) {
     console.error(`Failed to generate summary with ${aiProvider}:`, error.message);
     throw error;
   }
 }
 
-async function summarizeWithOpenAI(transcript, videoTitle, apiKey) {
-  const openai = new OpenAI({ apiKey });
+/**
+ * Map step: condense each transcript chunk into notes, in order
+ */
+async function summarizeChunks(chunks, videoTitle, generate, onProgress, timed) {
+  console.log(`Summarizing transcript in ${chunks.length} chunks...`);
+  const notes = [];
 
-  const response = await openai.chat.completions.create({
-    model: "gpt-4o-mini",
-    messages: [
-      {
-        role: "system",
-        content: "You are a helpful assistant that summarizes YouTube video transcripts. Format your response as clean HTML that can be displayed directly in a web page."
-      },
-      {
-        role: "user",
-        content: `Please summarize the following YouTube video transcript and format the output as HTML.
+  for (let i = 0; i < chunks.length; i++) {
+    let chunkNotes;
+    try {
+      chunkNotes = await generate(buildChunkPrompt(videoTitle, chunks[i], i, chunks.length, timed));
+    } catch (error) {
+      // Truncated notes for one section are still better than no summary at all
+      if (error.code !== 'MAX_TOKENS' || !error.partialText) {
+        throw error;
+      }
+      chunkNotes = error.partialText;
+    }
 
-Video Title: ${videoTitle}
+    notes.push(`Section ${i + 1} of ${chunks.length}:\n${chunkNotes.trim()}`);
+    console.log(`✓ Summarized chunk ${i + 1}/${chunks.length}`);
+    if (onProgress) {
+      onProgress({ stage: 'chunk', chunk: i + 1, totalChunks: chunks.length });
+    }
+  }
 
-Transcript:
-${transcript}
+  return notes.join('\n\n');
+}
 
-IMPORTANT: Format your response as clean HTML with the following structure:
-1. Use <h3>📌 Key Takeaways</h3> as a header
-2. Use <ul> with <li> elements for bullet points (use emoji bullets like • or ▸)
-3. Use <h3>💡 Conclusion</h3> as header for the conclusion
-4. Use <p> for the conclusion paragraph
+/**
+ * Serve a generated summary page under the summary page Content-Security-Policy
+ */
+function sendSummaryPage(res, html) {
+  res.setHeader('Content-Security-Policy', SUMMARY_PAGE_CONTENT_SECURITY_POLICY);
+  res.type('html').send(html);
+}
 
-Style guidelines:
-- Make bullet points concise but insightful
-- Use <strong> to emphasize key terms or concepts
-- Keep the HTML simple and clean (no CSS classes needed)
-- Do NOT include <html>, <head>, <body> tags - just the content
-- Do NOT wrap in code blocks or markdown
+/**
+ * The summary page (see lib/page.js) for a result record: YouTube videos
+ * show their details, playlists link to the playlist, and media source
+ * videos are themed in the source's colour. `share` adds the Open Graph
+ * tags of a permalink.
+ */
+function renderResultPage(result, { share } = {}) {
+  const page = {
+    title: result.videoTitle,
+    summaryHtml: result.summaryHtml,
+    url: result.url,
+    generatedAt: result.generatedAt,
+    share
+  };
+
+  if (result.source === 'youtube') {
+    // A range's page links to where the range starts
+    return renderSummaryPage({
+      ...page,
+      metadata: result.metadata,
+      linkLabel: result.range ? `Watch ${formatTimeRange(result.range)} on YouTube` : 'Watch on YouTube'
+    });
+  }
+  if (result.source === 'playlist') {
+    return renderSummaryPage({ ...page, linkLabel: 'View playlist on YouTube', pageTitle: 'YouTube Playlist Digest' });
+  }
 
-Start directly with the <h3> tag.`
-      }
-    ],
-    temperature: 0.7,
-    max_tokens: 2000
+  const source = getSource(result.source);
+  return renderSummaryPage({
+    ...page,
+    linkLabel: source.linkLabel,
+    pageTitle: `${source.label} Video Summary`,
+    theme: sourceTheme(source.color),
+    heading: '📋 AI-Generated Video Analysis',
+    footer: 'Generated by VidReduce - AI-powered video analysis',
+    backLabel: '← Analyze Another Video'
   });
+}
 
-  return response.choices[0].message.content;
+function sendExport(res, file) {
+  res.setHeader('Content-Security-Policy', SUMMARY_PAGE_CONTENT_SECURITY_POLICY);
+  res.setHeader('Content-Disposition', `attachment; filename="${file.filename}"`);
+  res.setHeader('Content-Type', file.contentType);
+  res.send(file.content);
 }
 
-async function summarizeWithGemini(transcript, videoTitle, apiKey) {
+// Download routes (videoId is a YouTube video or playlist ID, or <source>-<id> for other sources)
+app.get('/download/transcript/:videoId', async (req, res) => {
   try {
-    // First, check if the API key is valid by testing a simple request
-    console.log('Validating Gemini API key...');
-    const testResponse = await fetch(`https://generativelanguage.googleapis.com/v1beta/models?key=${apiKey}`);
-    if (!testResponse.ok) {
-      const errorData = await testResponse.json();
-      throw new Error(`Invalid Gemini API key: ${errorData.error?.message || 'Unknown error'}`);
+    const entry = await cache.get('results', req.params.videoId);
+    if (!entry) {
+      return res.status(404).json({ error: 'Transcript not found. Summarize the video first.' });
     }
+    sendExport(res, exportTranscript(entry.value, req.query.format || 'txt'));
+  } catch (error) {
+    res.status(error.code === 'UNSUPPORTED_FORMAT' ? 400 : 500).json({ error: error.message });
+  }
+});
 
-    const modelsData = await testResponse.json();
-    console.log('Available Gemini models:', modelsData.models?.map(m => m.name).join(', ') || 'No models found');
-
-    // Find a working text generation model (not embedding models)
-    const availableModels = modelsData.models?.map(m => m.name.replace('models/', '')) || [];
-    console.log('Parsed available models:', availableModels.slice(0, 10).join(', ') + '...'); // Show first 10
-
-    // Only use gemini-2.5-flash - no fallbacks
-    const modelToUse = 'gemini-2.5-flash';
-
-    if (!availableModels.includes(modelToUse)) {
-      throw new Error(`Required model 'gemini-2.5-flash' is not available. Please check your Gemini API access.`);
+app.get('/download/summary/:videoId', async (req, res) => {
+  try {
+    const entry = await cache.get('results', req.params.videoId);
+    if (!entry) {
+      return res.status(404).json({ error: 'Summary not found. Summarize the video first.' });
     }
+    sendExport(res, exportSummary(entry.value, req.query.format || 'html'));
+  } catch (error) {
+    res.status(error.code === 'UNSUPPORTED_FORMAT' ? 400 : 500).json({ error: error.message });
+  }
+});
 
-    console.log('Selected model:', modelToUse);
-
-    if (!modelToUse) {
-      throw new Error('No suitable Gemini models found');
+// Shared summary pages, with Open Graph and Twitter card tags for link previews
+app.get('/s/:slug', async (req, res) => {
+  try {
+    const page = await permalinks.get(req.params.slug);
+    if (!page) {
+      return res.status(404).json({ error: 'Summary not found.' });
     }
-
-    console.log(`Using Gemini model: ${modelToUse}`);
-
-    const prompt = `Please provide a thorough summary with the most prescient insights from the following YouTube video transcript. Format the output as HTML.
-
-Video Title: ${videoTitle}
-
-Transcript:
-${transcript}
-
-IMPORTANT: Format your response as clean HTML with the following structure:
-1. Use <h3>📌 Key Takeaways</h3> as a header
-2. Use <ul> with <li> elements for bullet points
-3. Use <h3>💡 Conclusion</h3> as header for the conclusion
-4. Use <p> for the conclusion paragraph
-
-Style guidelines:
-- Make bullet points concise but insightful
-- Use <strong> to emphasize key terms or concepts
-- Keep the HTML simple and clean (no CSS classes needed)
-- Do NOT include <html>, <head>, <body> tags - just the content
-- Do NOT wrap in code blocks or markdown
-
-Start directly with the <h3> tag.`;
-
-    const response = await fetch(`https://generativelanguage.googleapis.com/v1beta/models/${modelToUse}:generateContent?key=${apiKey}`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({
-        contents: [{
-          parts: [{
-            text: prompt
-          }]
-        }],
-        generationConfig: {
-          temperature: 0.7,
-          maxOutputTokens: 4000, // Increased for longer summaries
-        }
-      })
-    });
-
-    if (!response.ok) {
-      const errorData = await response.json();
-      console.log('Gemini API error response:', errorData);
-      throw new Error(`Gemini API error: ${response.status} ${response.statusText} - ${JSON.stringify(errorData)}`);
+    if (page.unpublishedAt) {
+      return res.status(410).json({ error: 'This summary has been unpublished by its owner.' });
     }
 
-    const data = await response.json();
-    console.log('Gemini API success response structure:', JSON.stringify(data, null, 2));
-
-    // Handle different response formats
-    if (data.candidates && data.candidates[0]) {
-      const candidate = data.candidates[0];
-
-      // Check if response was truncated
-      if (candidate.finishReason === 'MAX_TOKENS') {
-        throw new Error('Response was truncated due to token limit. Try a shorter transcript or increase token limit.');
-      }
-
-      // Check if content has parts
-      if (candidate.content && candidate.content.parts && candidate.content.parts[0]) {
-        return candidate.content.parts[0].text;
-      } else {
-        console.error('Response missing content parts:', candidate);
-        throw new Error('Gemini API returned incomplete response');
+    const { result } = page;
+    const tldr = result.summary?.tldr ? stripEmphasis(result.summary.tldr) : '';
+    sendSummaryPage(res, renderResultPage(result, {
+      share: {
+        url: `${siteUrl(req)}/s/${page.slug}`,
+        description: tldr.length > 200 ? `${tldr.slice(0, 197).trimEnd()}…` : tldr,
+        image: result.metadata?.thumbnail
       }
-    } else {
-      console.error('Unexpected response structure:', data);
-      throw new Error('Unexpected Gemini API response format');
-    }
+    }));
   } catch (error) {
-    console.error('Gemini API error:', error);
-    throw error;
+    res.status(500).json({ error: error.message });
   }
-}
-
-/**
- * Generate HTML content for the summary
- */
-function generateSummaryHTML(videoTitle, summary, videoId) {
-  const currentDate = new Date().toLocaleDateString();
-  const currentTime = new Date().toLocaleTimeString();
+});
 
-  return `<!DOCTYPE html>
-<html lang="en">
-<head>
-    <meta charset="UTF-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>YouTube Video Summary - ${videoTitle}</title>
-    <style>
-        body {
-            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, Cantarell, sans-serif;
-            line-height: 1.6;
-            max-width: 800px;
-            margin: 0 auto;
-            padding: 20px;
-            background-color: #f5f5f5;
-        }
-        .container {
-            background: white;
-            padding: 30px;
-            border-radius: 10px;
-            box-shadow: 0 2px 10px rgba(0,0,0,0.1);
-        }
-        .header {
-            text-align: center;
-            border-bottom: 2px solid #e0e0e0;
-            padding-bottom: 20px;
-            margin-bottom: 30px;
-        }
-        .video-title {
-            color: #1a1a1a;
-            font-size: 28px;
-            font-weight: 700;
-            margin-bottom: 10px;
-        }
-        .video-link {
-            color: #0654ba;
-            text-decoration: none;
-            font-size: 16px;
-        }
-        .video-link:hover {
-            text-decoration: underline;
-        }
-        .metadata {
-            color: #666;
-            font-size: 14px;
-            margin-top: 10px;
-        }
-        .summary-section {
-            margin-bottom: 30px;
-        }
-        .section-title {
-            color: #2c3e50;
-            font-size: 24px;
-            font-weight: 600;
-            margin-bottom: 20px;
-            border-left: 4px solid #3498db;
-            padding-left: 15px;
-        }
-        .summary-content {
-            background: #f8f9fa;
-            padding: 20px;
-            border-radius: 8px;
-            border-left: 4px solid #3498db;
-            white-space: pre-line;
-            font-size: 16px;
-            line-height: 1.7;
-        }
-        .footer {
-            margin-top: 40px;
-            padding-top: 20px;
-            border-top: 1px solid #e0e0e0;
-            text-align: center;
-            color: #666;
-            font-size: 14px;
-        }
-        .back-button {
-            display: inline-block;
-            margin-top: 20px;
-            padding: 10px 20px;
-            background: #3498db;
-            color: white;
-            text-decoration: none;
-            border-radius: 5px;
-            font-weight: 500;
-        }
-        .back-button:hover {
-            background: #2980b9;
-        }
-    </style>
-</head>
-<body>
-    <div class="container">
-        <div class="header">
-            <h1 class="video-title">${videoTitle}</h1>
-            <a href="https://www.youtube.com/watch?v=${videoId}" class="video-link" target="_blank">
-                Watch on YouTube ↗
-            </a>
-            <div class="metadata">
-                Generated on ${currentDate} at ${currentTime}
-            </div>
-        </div>
-
-        <div class="summary-section">
-            <h2 class="section-title">📋 AI-Generated Summary</h2>
-            <div class="summary-content">${summary}</div>
-        </div>
-
-        <div class="footer">
-            <p>Generated by VidReduce - AI-powered YouTube transcript analysis</p>
-            <a href="/" class="back-button">← Summarize Another Video</a>
-        </div>
-    </div>
-</body>
-</html>`;
-}
-
-/**
- * Generate HTML content for Twitter video summary
- */
-function generateTwitterSummaryHTML(videoTitle, summary, tweetUrl, tweetId) {
-  const currentDate = new Date().toLocaleDateString();
-  const currentTime = new Date().toLocaleTimeString();
-
-  return `<!DOCTYPE html>
-<html lang="en">
-<head>
-    <meta charset="UTF-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>Twitter Video Summary - ${videoTitle}</title>
-    <style>
-        body {
-            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, Cantarell, sans-serif;
-            line-height: 1.6;
-            max-width: 800px;
-            margin: 0 auto;
-            padding: 20px;
-            background-color: #f5f5f5;
-        }
-        .container {
-            background: white;
-            padding: 30px;
-            border-radius: 10px;
-            box-shadow: 0 2px 10px rgba(0,0,0,0.1);
-        }
-        .header {
-            text-align: center;
-            border-bottom: 2px solid #1da1f2;
-            padding-bottom: 20px;
-            margin-bottom: 30px;
-        }
-        .video-title {
-            color: #1a1a1a;
-            font-size: 28px;
-            font-weight: 700;
-            margin-bottom: 10px;
-        }
-        .video-link {
-            color: #1da1f2;
-            text-decoration: none;
-            font-size: 16px;
-        }
-        .video-link:hover {
-            text-decoration: underline;
-        }
-        .metadata {
-            color: #666;
-            font-size: 14px;
-            margin-top: 10px;
-        }
-        .summary-section {
-            margin-bottom: 30px;
-        }
-        .section-title {
-            color: #2c3e50;
-            font-size: 24px;
-            font-weight: 600;
-            margin-bottom: 20px;
-            border-left: 4px solid #1da1f2;
-            padding-left: 15px;
-        }
-        .summary-content {
-            background: #f8f9fa;
-            padding: 20px;
-            border-radius: 8px;
-            border-left: 4px solid #1da1f2;
-            white-space: pre-line;
-            font-size: 16px;
-            line-height: 1.7;
-        }
-        .footer {
-            margin-top: 40px;
-            padding-top: 20px;
-            border-top: 1px solid #e0e0e0;
-            text-align: center;
-            color: #666;
-            font-size: 14px;
-        }
-        .back-button {
-            display: inline-block;
-            margin-top: 20px;
-            padding: 10px 20px;
-            background: #1da1f2;
-            color: white;
-            text-decoration: none;
-            border-radius: 5px;
-            font-weight: 500;
-        }
-        .back-button:hover {
-            background: #0c85d0;
-        }
-    </style>
-</head>
-<body>
-    <div class="container">
-        <div class="header">
-            <h1 class="video-title">${videoTitle}</h1>
-            <a href="${tweetUrl}" class="video-link" target="_blank">
-                View on Twitter/X ↗
-            </a>
-            <div class="metadata">
-                Generated on ${currentDate} at ${currentTime}
-            </div>
-        </div>
-
-        <div class="summary-section">
-            <h2 class="section-title">📋 AI-Generated Video Analysis</h2>
-            <div class="summary-content">${summary}</div>
-        </div>
-
-        <div class="footer">
-            <p>Generated by VidReduce - AI-powered video analysis</p>
-            <a href="/" class="back-button">← Analyze Another Video</a>
-        </div>
-    </div>
-</body>
-</html>`;
-}
-
-// Download routes
-app.get('/download/transcript/:videoId', (req, res) => {
-  const { videoId } = req.params;
-  const filename = `transcript_${videoId}.txt`;
-  
-  if (fs.existsSync(filename)) {
-    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
-    res.setHeader('Content-Type', 'text/plain');
-    res.sendFile(path.join(__dirname, filename));
-  } else {
-    res.status(404).json({ error: 'Transcript file not found' });
+// Unpublish a permalink; needs the ownerToken handed out when it was published
+app.delete('/api/permalinks/:slug', async (req, res) => {
+  try {
+    await permalinks.unpublish(req.params.slug, req.body?.ownerToken || req.get('X-Owner-Token'));
+    res.json({ success: true });
+  } catch (error) {
+    const status = { NOT_FOUND: 404, FORBIDDEN: 403 }[error.code] || 500;
+    res.status(status).json({ error: error.message });
   }
 });
 
-app.get('/download/summary/:videoId', (req, res) => {
-  const { videoId } = req.params;
-  const filename = `summary_${videoId}.html`;
-  
-  if (fs.existsSync(filename)) {
-    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
-    res.setHeader('Content-Type', 'text/html');
-    res.sendFile(path.join(__dirname, filename));
-  } else {
-    res.status(404).json({ error: 'Summary file not found' });
+app.get('/sitemap.xml', async (req, res) => {
+  try {
+    res.type('application/xml').send(renderSitemap(await permalinks.list(), { siteUrl: siteUrl(req) }));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
   }
 });
 
@@ -749,20 +560,111 @@ app.get('/', (req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'index.html'));
 });
 
-// Check if environment variables are configured
-app.get('/api/config', (req, res) => {
-  const hasYouTubeKey = !!process.env.YOUTUBE_API_KEY;
-  const hasOpenAIKey = !!process.env.OPENAI_API_KEY;
-  const hasGeminiKey = !!process.env.GEMINI_API_KEY;
+/**
+ * Whether the caller of a request may use the server's API keys; a token
+ * that is not valid counts as none here
+ */
+async function callerServerKeys(req) {
+  try {
+    return (await resolveAccess(req)).serverKeys;
+  } catch (error) {
+    return SERVER_KEYS === 'open';
+  }
+}
+
+/**
+ * Enabled providers, with `configured` only where this caller may use the
+ * server's key
+ */
+function callerProviders(serverKeys) {
+  return listProviders().map((provider) => {
+    const registered = getProvider(provider.name);
+    return { ...provider, configured: keyUsable(registered, providerApiKey(registered, {}, { serverKeys })) };
+  });
+}
+
+// Which keys the server holds that this caller may use (so the form can leave them out)
+app.get('/api/config', async (req, res) => {
+  const serverKeys = await callerServerKeys(req);
+  const hasYouTubeKey = serverKeys && !!process.env.YOUTUBE_API_KEY;
+  const hasOpenAIKey = serverKeys && !!process.env.OPENAI_API_KEY;
+  const hasGeminiKey = serverKeys && !!process.env.GEMINI_API_KEY;
 
   res.json({
-    hasEnvKeys: hasYouTubeKey && (hasOpenAIKey || hasGeminiKey),
+    hasEnvKeys: callerProviders(serverKeys).some(provider => provider.configured),
     hasYouTubeKey,
     hasOpenAIKey,
-    hasGeminiKey
+    hasGeminiKey,
+    defaultProvider: defaultProviderName({}, { serverKeys }),
+    speechToText: listTranscribers().map(transcriber => transcriber.name),
+    permalinks: PERMALINKS_ENABLED,
+    accessTokens: SERVER_KEYS === 'token'
   });
 });
 
+// AI providers and their models for the provider selector
+app.get('/api/providers', async (req, res) => {
+  const serverKeys = await callerServerKeys(req);
+  res.json({ providers: callerProviders(serverKeys), defaultProvider: defaultProviderName({}, { serverKeys }) });
+});
+
+// Summary styles available for the style selector
+app.get('/api/styles', (req, res) => {
+  res.json({ styles: listTemplates() });
+});
+
+/**
+ * Middleware for the admin routes (access tokens, the usage report), which
+ * need "Authorization: Bearer <ADMIN_TOKEN>" and are off without ADMIN_TOKEN
+ */
+function requireAdmin(req, res, next) {
+  if (!process.env.ADMIN_TOKEN) {
+    return res.status(404).json({ error: 'Administration is not enabled on this server (set ADMIN_TOKEN).' });
+  }
+  if (!isAdmin(req)) {
+    return res.status(401).json({ error: 'Admin token required.' });
+  }
+  next();
+}
+
+// Issue an access token: { name, dailyQuota }. The token is only shown in this response.
+app.post('/api/tokens', requireAdmin, async (req, res) => {
+  try {
+    res.status(201).json(await accessTokens.issue({ name: req.body.name, dailyQuota: req.body.dailyQuota ?? undefined }));
+  } catch (error) {
+    res.status(error.code === 'INVALID_QUOTA' ? 400 : 500).json({ error: error.message });
+  }
+});
+
+// Issued access tokens, with how many requests each has made today
+app.get('/api/tokens', requireAdmin, async (req, res) => {
+  try {
+    const tokens = await accessTokens.list();
+    res.json({
+      tokens: await Promise.all(tokens.map(async token => ({ ...token, usedToday: await dailyQuota.used(`token:${token.id}`) })))
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.delete('/api/tokens/:id', requireAdmin, async (req, res) => {
+  try {
+    res.json(await accessTokens.revoke(req.params.id));
+  } catch (error) {
+    res.status(error.code === 'NOT_FOUND' ? 404 : 500).json({ error: error.message });
+  }
+});
+
+// Tokens used and estimated cost by provider, model and day; ?from=&to= (YYYY-MM-DD, UTC), the last 30 days by default
+app.get('/api/usage', requireAdmin, async (req, res) => {
+  try {
+    res.json(await usageLedger.report({ from: req.query.from, to: req.query.to }));
+  } catch (error) {
+    res.status(error.code === 'INVALID_RANGE' ? 400 : 500).json({ error: error.message });
+  }
+});
+
 // Remove x402 middleware - using direct crypto donations instead
 // app.use(paymentMiddleware(...));
 
@@ -797,161 +699,1653 @@ app.post('/donate', (req, res) => {
   });
 });
 
-app.post('/summarize', async (req, res) => {
-  const { youtubeKey, aiProvider, openaiKey, geminiKey, videoId, videoUrl } = req.body;
+/**
+ * Create an error carrying the HTTP status the route should respond with
+ */
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
 
-  // Check if environment variables are available
-  const hasEnvYouTubeKey = process.env.YOUTUBE_API_KEY;
-  const hasEnvOpenAIKey = process.env.OPENAI_API_KEY;
-  const hasEnvGeminiKey = process.env.GEMINI_API_KEY;
+/**
+ * Respond with an error from httpError; a 429 also says when to retry
+ */
+function sendError(res, error) {
+  if (error.retryAfter) {
+    res.setHeader('Retry-After', error.retryAfter);
+  }
+  res.status(error.status || 500).json({ error: error.message, ...error.details });
+}
 
-  // Use environment variables if available, otherwise use form data
-  const finalYouTubeKey = hasEnvYouTubeKey || youtubeKey;
-  const finalOpenAIKey = hasEnvOpenAIKey || openaiKey;
-  const finalGeminiKey = hasEnvGeminiKey || geminiKey;
+const secondsUntil = date => Math.max(1, Math.ceil((new Date(date) - Date.now()) / 1000));
 
-  // Determine AI provider - default to gemini if available
-  const finalAiProvider = aiProvider || (finalGeminiKey ? 'gemini' : 'openai');
+/**
+ * A 429 error for a used-up limit ({ limit, resetAt } from lib/access.js)
+ */
+function tooManyRequests(message, { limit, resetAt }) {
+  const retryAfter = secondsUntil(resetAt);
+  return Object.assign(httpError(429, message), { retryAfter, details: { limit, resetAt, retryAfter } });
+}
 
-  // Check if this is a Twitter/X URL
-  const inputUrl = videoUrl || videoId;
-  const isTwitter = isTwitterUrl(inputUrl);
+/**
+ * The token of an "Authorization: Bearer <token>" header, or null
+ */
+function bearerToken(req) {
+  const match = (req.get('Authorization') || '').match(/^Bearer\s+(\S+)$/i);
+  return match ? match[1] : null;
+}
 
-  if (isTwitter) {
-    // Twitter/X video processing (requires Gemini)
-    if (!finalGeminiKey) {
-      return res.status(400).json({
-        error: 'Gemini API key is required for Twitter/X video processing.'
-      });
-    }
+/**
+ * Whether a request carries the admin token (ADMIN_TOKEN)
+ */
+function isAdmin(req) {
+  return secretsMatch(bearerToken(req), process.env.ADMIN_TOKEN);
+}
 
-    try {
-      console.log('Processing Twitter/X video...');
-      const result = await processTwitterVideo(inputUrl, finalGeminiKey);
-      
-      // Generate HTML content for Twitter video
-      const htmlContent = generateTwitterSummaryHTML(result.videoTitle, result.summary, inputUrl, result.tweetId);
-
-      res.json({
-        success: true,
-        videoTitle: result.videoTitle,
-        summary: result.summary,
-        transcript: result.transcript,
-        htmlContent,
-        source: 'twitter'
-      });
+/**
+ * The access token sent with a request: "Authorization: Bearer <token>", or
+ * the accessToken field the web form sends
+ */
+function requestAccessToken(req) {
+  return bearerToken(req) || req.body?.accessToken || null;
+}
 
-    } catch (error) {
-      console.error('Twitter video processing error:', error);
-      res.status(500).json({
-        error: error.message || 'Failed to process Twitter video.'
-      });
+/**
+ * Who is calling and whether they may use the server's API keys:
+ * { caller, token, serverKeys }, where caller is "token:<id>" or "ip:<address>"
+ * (see lib/access.js). Throws a 401 error for an invalid or revoked token.
+ */
+async function resolveAccess(req) {
+  if (!req.access) {
+    const sent = requestAccessToken(req);
+    const token = await accessTokens.verify(sent);
+    if (sent && !token) {
+      throw httpError(401, 'Invalid or revoked access token.');
     }
+    req.access = {
+      caller: token ? `token:${token.id}` : `ip:${req.ip}`,
+      token,
+      serverKeys: !!token || SERVER_KEYS === 'open'
+    };
+  }
+  return req.access;
+}
+
+/**
+ * Middleware for the routes that run AI models: identifies the caller
+ * (req.access) and holds it to its per-minute rate limit, reported in
+ * RateLimit-* headers
+ */
+async function limitRequests(req, res, next) {
+  try {
+    const access = await resolveAccess(req);
+    const limit = (access.token ? tokenRateLimiter : ipRateLimiter).consume(access.caller);
+    if (limit.limit) {
+      res.setHeader('RateLimit-Limit', limit.limit);
+      res.setHeader('RateLimit-Remaining', limit.remaining);
+      res.setHeader('RateLimit-Reset', secondsUntil(limit.resetAt));
+    }
+    if (!limit.allowed) {
+      throw tooManyRequests(`Too many requests. Please wait ${secondsUntil(limit.resetAt)} seconds and try again.`, limit);
+    }
+    next();
+  } catch (error) {
+    sendError(res, error);
+  }
+}
+
+/**
+ * Count a request that uses the server's API keys against its caller's daily
+ * quota: the access token's, else ANONYMOUS_DAILY_QUOTA per IP. Throws a 429
+ * error once the quota is used up; requests on the caller's own keys are free.
+ */
+async function chargeServerKeys(req, { usesServerKeys }) {
+  if (!usesServerKeys) {
     return;
   }
+  const { caller, token } = await resolveAccess(req);
+  const limit = token ? token.dailyQuota : ANONYMOUS_DAILY_QUOTA;
+  if (!limit) {
+    return;
+  }
+  const usage = await dailyQuota.consume(caller, limit);
+  if (!usage.allowed) {
+    throw tooManyRequests(
+      `Daily limit of ${limit} request${limit === 1 ? '' : 's'} with the server's API keys reached. It resets at ${usage.resetAt}; until then, use your own API key.`,
+      usage
+    );
+  }
+}
 
-  // YouTube video processing
-  if (!finalYouTubeKey || !videoId) {
-    return res.status(400).json({
-      error: 'Missing required fields: YouTube API key and video ID are required.'
+/**
+ * Translate provider errors into messages users can act on
+ */
+function friendlyErrorMessage(error) {
+  // Extract meaningful error message for the user
+  let userMessage = 'An unexpected error occurred. Please try again.';
+  
+  if (error.message) {
+    // Check for known error patterns and provide friendly messages
+    if ([503, 529].includes(error.providerStatus) || error.message.includes('overloaded') || error.message.includes('503')) {
+      userMessage = 'The AI model is currently overloaded. Please try again in a few moments.';
+    } else if (error.providerStatus === 429 || error.message.includes('quota') || error.message.includes('429')) {
+      userMessage = 'API rate limit reached. Please wait a moment and try again.';
+    } else if (error.message.includes('Invalid API key') || error.message.includes('401')) {
+      userMessage = 'Invalid API key. Please check your API key and try again.';
+    } else if (error.message.includes('Gemini API error') || error.message.includes('OpenAI')) {
+      // Pass through API-specific errors
+      userMessage = error.message;
+    } else {
+      // For other errors, include the actual message
+      userMessage = error.message;
+    }
+  }
+
+  return userMessage;
+}
+
+/**
+ * Cache key for a summary: same video, provider, model, style and languages
+ */
+function summaryCacheKey(source, id, { provider, model, template, outputLanguage, captionLanguages = [] }) {
+  // Custom prompts are keyed by their content
+  const styleKey = template.name === 'custom' ? `custom-${hashKey(template.prompt).slice(0, 12)}` : template.name;
+  return [source, id, provider, model, styleKey, outputLanguage, captionLanguages.join(',')].join(':');
+}
+
+// Videos without captions longer than this are not transcribed from their audio
+const SPEECH_TO_TEXT_MAX_SECONDS = (Number(process.env.SPEECH_TO_TEXT_MAX_MINUTES) || 180) * 60;
+
+/**
+ * Transcribe a YouTube video's audio with the first of `transcribers`
+ * ({ transcriber, apiKey }, see lib/speech.js) that succeeds; transient
+ * errors are retried first. Returns { segments, language } like
+ * fetchTranscript, with language.transcriber naming the backend, or null
+ * if none of them could transcribe it. Emits audio and transcribing events;
+ * onUsage receives the tokens of backends billed by the token.
+ */
+async function transcribeYouTubeAudio(videoId, transcribers, { onProgress, onUsage, signal } = {}) {
+  const progress = event => onProgress && onProgress(event);
+
+  let audio;
+  try {
+    audio = await downloadAudio(videoId, {
+      inlineMaxBytes: INLINE_VIDEO_MAX_BYTES,
+      maxBytes: VIDEO_MAX_BYTES,
+      maxSeconds: SPEECH_TO_TEXT_MAX_SECONDS,
+      signal
     });
+  } catch (error) {
+    if (signal?.aborted) {
+      throw error;
+    }
+    if (error.code === 'AUDIO_TOO_LONG' || error.code === 'VIDEO_TOO_LARGE') {
+      throw httpError(404, `The video has no captions and cannot be transcribed: ${error.message}`);
+    }
+    console.error(`Failed to download audio for ${videoId}: ${error.message}`);
+    return null;
+  }
+  const sizeMB = Number((audio.size / (1024 * 1024)).toFixed(2));
+  console.log(`Audio downloaded: ${sizeMB}MB`);
+  progress({ stage: 'audio', sizeMB, duration: audio.duration });
+
+  try {
+    for (const { transcriber, apiKey } of transcribers) {
+      progress({ stage: 'transcribing', transcriber: transcriber.name });
+      try {
+        const { segments, language } = await withRetry(() => transcriber.transcribe(audio, { apiKey, signal, onUsage }), {
+          ...RETRY_OPTIONS,
+          signal,
+          onRetry: ({ attempt, delayMs, error }) => progress({ stage: 'retry', provider: transcriber.name, attempt, delayMs, reason: error.message })
+        });
+        if (segments.length > 0) {
+          console.log(`✓ Transcribed ${videoId} with ${transcriber.label}: ${segments.length} segments`);
+          return { segments, language: { ...language, autoGenerated: true, transcriber: transcriber.name } };
+        }
+        console.log(`${transcriber.label} found no speech in ${videoId}`);
+      } catch (error) {
+        if (signal?.aborted) {
+          throw error;
+        }
+        console.error(`${transcriber.label} could not transcribe ${videoId}: ${error.message}`);
+      }
+    }
+    return null;
+  } finally {
+    await audio.cleanup();
+  }
+}
+
+/**
+ * Load a YouTube video's title, metadata and timed transcript, from the
+ * cache unless `force` is set. Returns { transcript, cached } where
+ * transcript is { videoTitle, metadata, segments, captionLanguage } and
+ * metadata is the rest of lib/youtube.js's video metadata (channel,
+ * duration, ...). Emits the metadata stage event.
+ * Videos without captions are transcribed from their audio by the
+ * `speechToText` backends (see transcribeYouTubeAudio), if there are any,
+ * and their usage reported to onUsage.
+ */
+async function loadYouTubeTranscript(videoId, { youtubeKey, captionLanguages = [], speechToText = [], force = false, onProgress, onUsage, signal } = {}) {
+  const progress = event => onProgress && onProgress(event);
+
+  // Metadata and transcript are cached together so a cache hit skips the metadata lookup too
+  const transcriptKey = `youtube:${videoId}:${captionLanguages.join(',')}`;
+  const cachedEntry = force ? null : await cache.get('transcripts', transcriptKey);
+  if (cachedEntry) {
+    console.log(`✓ Transcript cache hit for ${videoId}`);
+    const { videoTitle, metadata } = cachedEntry.value;
+    progress({ stage: 'metadata', videoTitle, author: metadata?.author, duration: metadata?.duration });
+    return { transcript: cachedEntry.value, cached: true };
+  }
+
+  // First verify the video exists
+  const youtube = getSource('youtube');
+  const found = await youtube.fetchMetadata(videoId, { youtubeKey });
+  if (!found) {
+    throw httpError(404, 'Video not found or inaccessible. Please check the video ID.');
+  }
+
+  const { title: videoTitle, ...metadata } = found;
+  console.log(`Video found: ${videoTitle}`);
+  progress({ stage: 'metadata', videoTitle, author: metadata.author, duration: metadata.duration });
+
+  // Fetch transcript as timed segments, in the best matching caption language
+  signal?.throwIfAborted();
+  let transcriptResult = await youtube.fetchTranscript(videoId, { languages: captionLanguages.length > 0 ? captionLanguages : undefined });
+  signal?.throwIfAborted();
+  if (!transcriptResult && speechToText.length > 0) {
+    console.log(`No captions for ${videoId}, transcribing its audio...`);
+    transcriptResult = await transcribeYouTubeAudio(videoId, speechToText, { onProgress, onUsage, signal });
+  }
+  if (!transcriptResult) {
+    throw httpError(404, speechToText.length > 0
+      ? 'No transcript could be fetched. The video has no captions and its audio could not be transcribed.'
+      : 'No transcript could be fetched. The video may not have captions available.');
+  }
+
+  const entry = await cache.set('transcripts', transcriptKey, {
+    videoTitle,
+    metadata,
+    segments: transcriptResult.segments,
+    captionLanguage: transcriptResult.language
+  });
+  return { transcript: entry.value, cached: false };
+}
+
+/**
+ * "1:30–5:00" (or "1:30–end") for a time range { start, end }
+ */
+function formatTimeRange({ start, end }) {
+  return `${formatTimestamp(start)}–${end === null ? 'end' : formatTimestamp(end)}`;
+}
+
+/**
+ * Summarize a YouTube video end to end, reusing cached transcripts and summaries
+ * unless `force` is set. Returns { result, cache } where result is the stored
+ * result record and cache reports what was served from the cache.
+ * With a `range` ({ start, end } in seconds, end null for the rest of the
+ * video) only that part of the transcript is summarized; the result's id
+ * is then "<videoId>@<start>-<end>" so it does not replace the whole
+ * video's. onProgress receives stage events (metadata, audio, transcribing,
+ * transcript, chunk, retry, failover, summarizing) and onToken the summary
+ * tokens, for streaming clients. Aborting `signal` stops the work between
+ * stages and cancels in-flight AI requests. After a failover, the result's
+ * provider and model are the fallback's and `failover` says what was
+ * requested and why. The usage is added to the usage ledger unless `ledger`
+ * is false, for callers that record it with their own.
+ */
+async function summarizeYouTubeVideo(videoId, { youtubeKey, provider, model = resolveModel(provider), apiKey, fallbacks = [], captionLanguages = [], speechToText = [], range = null, outputLanguage, template = resolveTemplate(), force = false, ledger = true, onProgress, onToken, signal } = {}) {
+  const progress = event => onProgress && onProgress(event);
+  const language = languageName(outputLanguage) || 'English';
+  const resultId = range ? `${videoId}@${range.start}-${range.end ?? ''}` : videoId;
+  const summaryKey = summaryCacheKey('youtube', resultId, { provider, model, template, outputLanguage: language, captionLanguages });
+
+  if (!force) {
+    const cachedSummary = await cache.get('summaries', summaryKey);
+    if (cachedSummary) {
+      console.log(`✓ Summary cache hit for ${resultId}`);
+      // The downloads follow the summary this request was served
+      await cache.set('results', resultId, cachedSummary.value);
+      return { result: cachedSummary.value, cache: { summary: true, transcript: true, cachedAt: cachedSummary.createdAt } };
+    }
+  }
+
+  // Transcribing a video without captions counts towards its usage
+  const meter = createUsageMeter(PRICES);
+  const { transcript: loaded, cached: transcriptHit } = await loadYouTubeTranscript(videoId, {
+    youtubeKey,
+    captionLanguages,
+    speechToText,
+    force,
+    onProgress,
+    onUsage: meter.record,
+    signal
+  });
+
+  const { videoTitle, metadata, captionLanguage } = loaded;
+  // The whole transcript is cached; a time range is cut out of it
+  const segments = range ? sliceSegments(loaded.segments, range) : loaded.segments;
+  if (segments.length === 0) {
+    throw httpError(400, `The video has no transcript between ${formatTimeRange(range)}.`);
+  }
+  const transcript = segmentsToText(segments);
+  console.log(`Transcript fetched successfully (${transcript.length} characters${range ? `, ${formatTimeRange(range)}` : ''})`);
+  progress({
+    stage: 'transcript',
+    segments: segments.length,
+    characters: transcript.length,
+    captionLanguage,
+    cached: transcriptHit
+  });
+
+  // Generate summary (long transcripts are summarized chunk by chunk)
+  let chunksSummarized = 0;
+  let producedBy = { provider, model };
+  let failover;
+  const promptTitle = range ? `${videoTitle} (excerpt from ${formatTimeRange(range)})` : videoTitle;
+  const structuredSummary = await summarizeTranscript(segments, promptTitle, provider, apiKey, {
+    model,
+    fallbacks,
+    outputLanguage,
+    template,
+    onToken,
+    onUsage: meter.record,
+    signal,
+    onProgress: (event) => {
+      if (event.stage === 'chunk') {
+        chunksSummarized = event.chunk;
+      } else if (event.stage === 'failover') {
+        producedBy = { provider: event.to, model: event.model };
+        failover = { provider, model, reason: event.reason };
+      }
+      progress(event);
+    }
+  });
+  if (!structuredSummary) {
+    throw httpError(500, `Failed to generate summary with ${provider.toUpperCase()}. Please check your API key and try again.`);
+  }
+
+  // Render the structured summary; timestamped takeaways link to that moment in the video
+  const summaryHtml = renderSummaryHTML(structuredSummary, { videoId });
+
+  // A range's link opens the video where the range starts
+  const url = range ? youtubeTimestampUrl(videoId, range.start) : `https://www.youtube.com/watch?v=${videoId}`;
+
+  const result = {
+    id: resultId,
+    videoId,
+    source: 'youtube',
+    url,
+    videoTitle,
+    metadata,
+    range: range || undefined,
+    summary: structuredSummary,
+    summaryHtml,
+    transcript,
+    segments,
+    captionLanguage,
+    chunksSummarized,
+    provider: producedBy.provider,
+    model: producedBy.model,
+    failover,
+    usage: meter.usage(),
+    style: template.name,
+    outputLanguage: language,
+    generatedAt: new Date().toISOString()
+  };
+  result.htmlContent = renderResultPage(result);
+
+  // A summary from a fallback is cached as that provider's, so the requested one is tried again next time
+  const storedKey = failover ? summaryCacheKey('youtube', resultId, { ...producedBy, template, outputLanguage: language, captionLanguages }) : summaryKey;
+  await cache.set('summaries', storedKey, result);
+  await cache.set('results', resultId, result);
+  if (ledger) {
+    await recordUsage(result.usage);
+  }
+  console.log('Summary generated successfully');
+
+  return { result, cache: { summary: false, transcript: transcriptHit } };
+}
+
+/**
+ * Summarize a video post from a media source (see lib/sources.js), reusing a
+ * cached summary unless `force` is set. Returns { result, cache } and
+ * reports progress like summarizeYouTubeVideo.
+ */
+async function summarizeMediaVideo(source, id, url, { apiKey, model = resolveModel('gemini'), outputLanguage, template = resolveTemplate(), force = false, onProgress, onToken, signal } = {}) {
+  const language = languageName(outputLanguage) || 'English';
+  const summaryKey = summaryCacheKey(source.name, id, { provider: 'gemini', model, template, outputLanguage: language });
+  // IDs are only unique within a source, and results are stored by ID
+  const resultId = `${source.name}-${id}`;
+
+  if (!force) {
+    const cachedSummary = await cache.get('summaries', summaryKey);
+    if (cachedSummary) {
+      console.log(`✓ Summary cache hit for ${source.label} video ${id}`);
+      // The downloads follow the summary this request was served
+      await cache.set('results', resultId, cachedSummary.value);
+      return { result: cachedSummary.value, cache: { summary: true, transcript: true, cachedAt: cachedSummary.createdAt } };
+    }
+  }
+
+  const meter = createUsageMeter(PRICES);
+  const processed = await processMediaVideo(source, id, url, apiKey, { model, outputLanguage, template, onProgress, onToken, onUsage: meter.record, signal });
+
+  // Render the structured summary; the HTML page follows from the result
+  const summaryHtml = renderSummaryHTML(processed.summary);
+
+  const result = {
+    id: resultId,
+    source: source.name,
+    url: processed.url,
+    videoTitle: processed.videoTitle,
+    author: processed.author,
+    summary: processed.summary,
+    summaryHtml,
+    transcript: processed.transcript,
+    duration: processed.duration,
+    provider: 'gemini',
+    model,
+    usage: meter.usage(),
+    style: template.name,
+    outputLanguage: language,
+    generatedAt: new Date().toISOString()
+  };
+  result.htmlContent = renderResultPage(result);
+
+  await cache.set('summaries', summaryKey, result);
+  await cache.set('results', resultId, result);
+  await recordUsage(result.usage);
+
+  return { result, cache: { summary: false, transcript: false } };
+}
+
+// Playlists are capped, and their videos summarized a few at a time
+const PLAYLIST_MAX_VIDEOS = Number(process.env.PLAYLIST_MAX_VIDEOS) || 25;
+const PLAYLIST_CONCURRENCY = Number(process.env.PLAYLIST_CONCURRENCY) || 3;
+
+/**
+ * Summarize every video of a YouTube playlist, at most PLAYLIST_CONCURRENCY
+ * at a time, and combine their summaries into a playlist digest. Videos that
+ * cannot be summarized are listed with the reason instead of failing the
+ * playlist. Returns { result, cache } like summarizeYouTubeVideo; progress
+ * is reported as playlist, playlist-video and summarizing (digest) events.
+ * The result's usage covers the digest and the videos summarized for it
+ * (not those served from the cache), and is recorded as one request.
+ */
+async function summarizeYouTubePlaylist(playlistId, { youtubeKey, provider, model = resolveModel(provider), apiKey, fallbacks = [], captionLanguages = [], speechToText = [], outputLanguage, template = resolveTemplate(), force = false, maxVideos = PLAYLIST_MAX_VIDEOS, onProgress, onToken, signal } = {}) {
+  const progress = event => onProgress && onProgress(event);
+
+  let playlist;
+  try {
+    playlist = await fetchPlaylist(playlistId, Math.min(maxVideos, PLAYLIST_MAX_VIDEOS));
+  } catch (error) {
+    console.error(`Failed to fetch playlist: ${error.message}`);
+    throw httpError(404, 'Playlist not found or not public. Please check the playlist URL.');
+  }
+  if (playlist.videos.length === 0) {
+    throw httpError(404, 'This playlist has no videos that can be summarized.');
+  }
+  const totalVideos = playlist.videos.length;
+  console.log(`Playlist found: ${playlist.title} (${totalVideos} videos)`);
+  progress({ stage: 'playlist', playlistTitle: playlist.title, totalVideos });
+
+  // The digest is keyed by the videos it covers, so it is rebuilt when the playlist changes
+  const language = languageName(outputLanguage) || 'English';
+  const contentsKey = hashKey(playlist.videos.map(video => video.id).join(',')).slice(0, 12);
+  const summaryKey = summaryCacheKey('playlist', `${playlistId}@${contentsKey}`, { provider, model, template, outputLanguage: language, captionLanguages });
+
+  if (!force) {
+    const cachedSummary = await cache.get('summaries', summaryKey);
+    if (cachedSummary) {
+      console.log(`✓ Summary cache hit for playlist ${playlistId}`);
+      // The downloads follow the summary this request was served
+      await cache.set('results', playlistId, cachedSummary.value);
+      return { result: cachedSummary.value, cache: { summary: true, transcript: true, cachedAt: cachedSummary.createdAt } };
+    }
+  }
+
+  const transcripts = new Map();
+  const videoUsage = [];
+  let completed = 0;
+  const videos = await mapWithConcurrency(playlist.videos, PLAYLIST_CONCURRENCY, async (video, index) => {
+    signal?.throwIfAborted();
+    const entry = { id: video.id, title: video.title, url: `https://www.youtube.com/watch?v=${video.id}` };
+
+    try {
+      const { result, cache: cacheInfo } = await summarizeYouTubeVideo(video.id, {
+        youtubeKey, provider, model, apiKey, fallbacks, captionLanguages, speechToText, outputLanguage, template, force, ledger: false, signal
+      });
+      Object.assign(entry, { title: result.videoTitle, status: 'succeeded', summary: result.summary, cached: cacheInfo.summary });
+      transcripts.set(video.id, result.transcript);
+      if (!cacheInfo.summary) {
+        videoUsage.push(result.usage);
+      }
+    } catch (error) {
+      if (signal?.aborted) {
+        throw error;
+      }
+      console.error(`Failed to summarize playlist video ${video.id}:`, error.message);
+      Object.assign(entry, { status: 'failed', error: error.status ? error.message : friendlyErrorMessage(error) });
+    }
+
+    completed++;
+    progress({
+      stage: 'playlist-video',
+      index: index + 1,
+      completed,
+      totalVideos,
+      videoId: video.id,
+      title: entry.title,
+      status: entry.status,
+      error: entry.error
+    });
+    return entry;
+  });
+
+  const summarized = videos.filter(video => video.status === 'succeeded');
+  if (summarized.length === 0) {
+    throw httpError(502, `None of the playlist videos could be summarized: ${videos[0].error}`);
   }
 
-  if (finalAiProvider === 'openai' && !finalOpenAIKey) {
-    return res.status(400).json({
-      error: 'OpenAI API key is required when using OpenAI.'
+  let failover;
+  const generate = createResilientGenerator([{ provider, model, apiKey }, ...fallbacks], {
+    retry: RETRY_OPTIONS,
+    onRetry: ({ provider: retrying, attempt, delayMs, error }) => progress({ stage: 'retry', provider: retrying, attempt, delayMs, reason: error.message }),
+    onFailover: ({ from, to, model: toModel, error }) => {
+      failover = { provider, model, reason: error.message };
+      progress({ stage: 'failover', from, to, model: toModel, reason: error.message });
+    }
+  });
+  progress({ stage: 'summarizing', provider, digest: true });
+  const meter = createUsageMeter(PRICES);
+  const digest = parseSummary(await generate({
+    ...buildDigestPrompt(playlist.title, summarized, { language }),
+    onToken,
+    onUsage: meter.record,
+    signal
+  }));
+
+  const url = playlistUrl(playlistId);
+  const summaryHtml = renderPlaylistHTML(digest, videos);
+
+  const result = {
+    id: playlistId,
+    source: 'playlist',
+    url,
+    videoTitle: playlist.title,
+    author: playlist.author,
+    summary: digest,
+    summaryHtml,
+    // The playlist transcript is every video's transcript, in order
+    transcript: summarized
+      .map(video => `# ${video.title}\n${video.url}\n\n${transcripts.get(video.id)}`)
+      .join('\n\n'),
+    videos,
+    provider: generate.used.provider,
+    model: generate.used.model,
+    failover,
+    usage: mergeUsage(...videoUsage, meter.usage()),
+    style: template.name,
+    outputLanguage: language,
+    generatedAt: new Date().toISOString()
+  };
+  result.htmlContent = renderResultPage(result);
+
+  await cache.set('summaries', summaryKey, result);
+  await cache.set('results', playlistId, result);
+  // One request in the ledger, its videos' calls included
+  await recordUsage(result.usage);
+  console.log(`Playlist digest generated (${summarized.length}/${totalVideos} videos summarized)`);
+
+  return {
+    result,
+    cache: { summary: false, transcript: false, videosCached: videos.filter(video => video.cached).length }
+  };
+}
+
+/**
+ * Publish a result at a permalink when the request asks for it with
+ * "publish": true and PERMALINKS is not off. Resolves to the response's permalink field,
+ * { slug, url, ownerToken } (the token only when it was published just now),
+ * or undefined. Publishing failures never fail the summary.
+ */
+async function publishResult(result, body) {
+  if (!PERMALINKS_ENABLED || !(body.publish === true || body.publish === 'true')) {
+    return undefined;
+  }
+  try {
+    const published = await permalinks.publish(result);
+    return published ? { ...published, url: `/s/${published.slug}` } : undefined;
+  } catch (error) {
+    console.error('Failed to publish permalink:', error.message);
+    return undefined;
+  }
+}
+
+/**
+ * The usage a response reports: none for a summary served from the cache,
+ * which cost nothing this time
+ */
+function responseUsage(result, cacheInfo) {
+  return cacheInfo.summary ? null : result.usage;
+}
+
+/**
+ * Shape a result record into the /summarize JSON response
+ */
+function toSummaryResponse(result, cacheInfo, permalink) {
+  const response = {
+    success: true,
+    videoTitle: result.videoTitle,
+    summary: result.summaryHtml,
+    structuredSummary: result.summary,
+    transcript: result.transcript,
+    htmlContent: result.htmlContent,
+    source: result.source,
+    provider: result.provider,
+    model: result.model,
+    failover: result.failover,
+    usage: responseUsage(result, cacheInfo),
+    cached: !!cacheInfo.summary,
+    style: result.style,
+    outputLanguage: result.outputLanguage,
+    downloads: downloadLinks(result.id),
+    permalink,
+    cache: cacheInfo
+  };
+
+  if (result.source === 'youtube') {
+    Object.assign(response, {
+      // Results from before time ranges have no videoId field
+      videoId: result.videoId || result.id,
+      range: result.range,
+      metadata: result.metadata,
+      segments: result.segments,
+      transcriptLength: result.transcript.length,
+      chunksSummarized: result.chunksSummarized,
+      captionLanguage: result.captionLanguage
+    });
+  } else if (result.source === 'playlist') {
+    Object.assign(response, {
+      playlist: { id: result.id, title: result.videoTitle, author: result.author, url: result.url },
+      videos: result.videos.map(({ id, title, url, status, error }) => ({
+        id,
+        title,
+        url,
+        status,
+        error,
+        downloads: status === 'succeeded' ? downloadLinks(id) : undefined
+      }))
     });
   }
 
-  if (finalAiProvider === 'gemini' && !finalGeminiKey) {
-    return res.status(400).json({
-      error: 'Google Gemini API key is required when using Gemini.'
+  return response;
+}
+
+/**
+ * The provider used when a request does not pick one: AI_PROVIDER, else the
+ * first provider with a key (Gemini first), else the first one offered
+ */
+function defaultProviderName(body, { serverKeys = true } = {}) {
+  const providers = callerProviders(serverKeys);
+  const hasKey = provider => provider.configured || !!(provider.keyField && body[provider.keyField]);
+  const withKey = ['gemini', ...providers.map(provider => provider.name)]
+    .find(name => providers.some(provider => provider.name === name && hasKey(provider)));
+  return process.env.AI_PROVIDER || withKey || providers[0]?.name;
+}
+
+/**
+ * A provider's API key: the one sent in the request, else the server's if
+ * the caller may use it
+ */
+function providerApiKey(provider, body, { serverKeys = true } = {}) {
+  return (provider.keyField && body[provider.keyField]) || (serverKeys && provider.keyEnv && process.env[provider.keyEnv]) || undefined;
+}
+
+/**
+ * Whether a provider or transcriber can run with a resolved key: those that
+ * need a key need one, and so do self-hosted ones the server has a key for
+ */
+function keyUsable(provider, apiKey) {
+  return !!apiKey || !(provider.requiresKey || (provider.keyEnv && process.env[provider.keyEnv]));
+}
+
+/**
+ * Whether a resolved key is the server's rather than the caller's
+ */
+function isServerKey(provider, body, apiKey) {
+  return !!apiKey && !(provider.keyField && body[provider.keyField]);
+}
+
+/**
+ * Providers to fail over to when `chosen` is unavailable: those listed in
+ * AI_FAILOVER, in order, that are offered and have a key, with their
+ * default models. Requests can opt out with failover: false.
+ */
+function resolveFallbacks(body, chosen, access) {
+  if (body.failover === false || body.failover === 'false') {
+    return [];
+  }
+  const offered = listProviders().map(provider => provider.name);
+  return (process.env.AI_FAILOVER || '').split(',')
+    .map(name => name.trim())
+    .filter(name => name && name !== chosen && offered.includes(name))
+    .map(name => {
+      const provider = getProvider(name);
+      return { provider: name, model: provider.defaultModel, apiKey: providerApiKey(provider, body, access) };
+    })
+    .filter(fallback => keyUsable(getProvider(fallback.provider), fallback.apiKey));
+}
+
+/**
+ * Speech-to-text backends for videos without captions: those the server
+ * runs (see lib/speech.js) that have a key, each as { transcriber, apiKey }.
+ * Requests can opt out with speechToText: false.
+ */
+function resolveSpeechToText(body, access) {
+  if (body.speechToText === false || body.speechToText === 'false') {
+    return [];
+  }
+  return listTranscribers()
+    .map(transcriber => ({ transcriber, apiKey: providerApiKey(transcriber, body, access) }))
+    .filter(({ transcriber, apiKey }) => keyUsable(transcriber, apiKey));
+}
+
+/**
+ * Resolve the AI provider, model, API key and fallback providers for a
+ * request (form fields win over the server's keys, which `access.serverKeys`
+ * says the caller may use). Throws a 400 error if the provider or model is
+ * not offered or the key is missing.
+ */
+function resolveAIProvider(body, access = { serverKeys: true }) {
+  const name = body.aiProvider || defaultProviderName(body, access);
+
+  let provider;
+  let model;
+  try {
+    provider = getProvider(name);
+    model = resolveModel(name, body.model);
+  } catch (error) {
+    throw httpError(400, error.message);
+  }
+
+  const apiKey = providerApiKey(provider, body, access);
+  if (!keyUsable(provider, apiKey)) {
+    throw httpError(400, missingKeyMessage(provider, provider.label));
+  }
+
+  return { provider: name, model, apiKey, fallbacks: resolveFallbacks(body, name, access) };
+}
+
+/**
+ * The 400 message for a provider's missing key, pointing at access tokens
+ * when the server has the key but the caller may not use it
+ */
+function missingKeyMessage({ label, keyEnv, keyField }, purpose) {
+  const serverHasKey = !!(keyEnv && process.env[keyEnv]);
+  if (!keyField) {
+    return `An access token is required when using ${purpose}.`;
+  }
+  return `${label} API key${serverHasKey ? ', or an access token to use the server\'s key,' : ''} is required when using ${purpose}.`;
+}
+
+/**
+ * Whether any of the resolved keys of a request ({ apiKey, fallbacks }
+ * from resolveAIProvider, speechToText from resolveSpeechToText) is the server's
+ */
+function usesServerKeys(body, { provider, apiKey, fallbacks = [], speechToText = [] }) {
+  return [{ provider, apiKey }, ...fallbacks].some(entry => isServerKey(getProvider(entry.provider), body, entry.apiKey)) ||
+    speechToText.some(({ transcriber, apiKey }) => isServerKey(transcriber, body, apiKey));
+}
+
+/**
+ * The part of a YouTube video to summarize: the request's start and end
+ * fields (seconds or timestamps) if given, else the t=, start= and end=
+ * parameters of its URL (see parseYouTubeUrl). Returns { start, end }
+ * with end null for the rest of the video, or null for the whole video;
+ * throws a 400 error for an invalid range.
+ */
+function resolveTimeRange(parsed, fields) {
+  const read = (name) => {
+    const value = fields[name];
+    if (value === undefined || value === null || value === '') {
+      return parsed?.[name] ?? null;
+    }
+    const seconds = parseTimeParam(value);
+    if (seconds === null) {
+      throw httpError(400, `Invalid ${name} time "${value}". Use seconds (90), 1m30s or 1:30.`);
+    }
+    return seconds;
+  };
+
+  const start = read('start') || 0;
+  const end = read('end');
+  if (end !== null && end <= start) {
+    throw httpError(400, 'The end of the time range must be after its start.');
+  }
+  return start > 0 || end !== null ? { start, end } : null;
+}
+
+/**
+ * Validate a summarize request body, detect its video source (see
+ * lib/sources.js) and resolve API keys (form fields win over the server's keys,
+ * which only callers allowed by limitRequests get). Returns { videoId, source,
+ * sourceLabel, input, media, usesServerKeys, run } where run({ onProgress,
+ * onToken, signal }) summarizes the video or playlist, media is true for
+ * sources whose video Gemini watches and usesServerKeys is true when one of
+ * the server's keys is used; throws a 400 error if the request is invalid,
+ * with code INVALID_VIDEO_URL when the video URL or ID is to blame rather
+ * than the settings or keys.
+ */
+function resolveSummaryRequest(req) {
+  const { youtubeKey, geminiKey, videoId, videoUrl, outputLanguage, style, customPrompt, maxVideos, start, end } = req.body;
+  const captionLanguages = parseLanguageList(req.body.captionLanguages);
+  // force=true skips the cache and regenerates everything
+  const force = [req.body.force, req.query.force].some(value => value === true || value === 'true');
+
+  let template;
+  try {
+    template = resolveTemplate(style, customPrompt);
+  } catch (error) {
+    throw httpError(400, error.message);
+  }
+
+  // Use form data if given, otherwise the server's keys if the caller may use them
+  // The YouTube Data API key is optional: it only enriches youtubei.js's metadata
+  const access = req.access || { serverKeys: true };
+  const finalYouTubeKey = youtubeKey || (access.serverKeys ? process.env.YOUTUBE_API_KEY : undefined);
+  const finalGeminiKey = geminiKey || (access.serverKeys ? process.env.GEMINI_API_KEY : undefined);
+
+  const inputUrl = (videoUrl || videoId || '').trim();
+  const detected = detectSource(inputUrl);
+
+  if (detected?.source.kind === 'media') {
+    // Twitter/X, TikTok, Instagram, Vimeo and video files are watched by Gemini
+    const { source, id } = detected;
+    let model;
+    try {
+      model = resolveModel('gemini', req.body.aiProvider === 'gemini' ? req.body.model : undefined);
+    } catch (error) {
+      throw httpError(400, error.code === 'UNKNOWN_PROVIDER'
+        ? `${source.label} video processing needs Gemini, which is not enabled on this server.`
+        : error.message);
+    }
+    if (!finalGeminiKey) {
+      throw httpError(400, missingKeyMessage(getProvider('gemini'), `${source.label} videos`));
+    }
+
+    return {
+      source: source.name,
+      sourceLabel: source.label,
+      input: inputUrl,
+      media: true,
+      usesServerKeys: !geminiKey,
+      run: ({ onProgress, onToken, signal } = {}) => summarizeMediaVideo(source, id, inputUrl, {
+        apiKey: finalGeminiKey,
+        model,
+        outputLanguage,
+        template,
+        force,
+        onProgress,
+        onToken,
+        signal
+      })
+    };
+  }
+
+  // YouTube playlist or video processing
+  const playlistId = req.body.playlistId || parsePlaylistId(inputUrl);
+  const youtubeVideoId = detected?.source.name === 'youtube' ? detected.id : null;
+  if (inputUrl && !playlistId && !youtubeVideoId) {
+    const supported = listSources().map(source => source.label).join(', ');
+    throw Object.assign(httpError(400, `Unsupported video URL or ID. Supported sources: ${supported}.`), { code: 'INVALID_VIDEO_URL' });
+  }
+  if (!(youtubeVideoId || playlistId)) {
+    throw httpError(400, 'Missing required field: a video ID or URL is required.');
+  }
+  let range = null;
+  try {
+    range = youtubeVideoId && !playlistId ? resolveTimeRange(parseYouTubeUrl(inputUrl), { start, end }) : null;
+  } catch (error) {
+    throw Object.assign(error, { code: 'INVALID_VIDEO_URL' });
+  }
+
+  const { provider, model, apiKey, fallbacks } = resolveAIProvider(req.body, access);
+
+  const options = {
+    youtubeKey: finalYouTubeKey,
+    provider,
+    model,
+    apiKey,
+    fallbacks,
+    captionLanguages,
+    speechToText: resolveSpeechToText(req.body, access),
+    outputLanguage,
+    template,
+    force
+  };
+  const serverKeysUsed = usesServerKeys(req.body, options);
+
+  if (playlistId) {
+    return {
+      source: 'playlist',
+      sourceLabel: 'YouTube',
+      input: playlistId,
+      media: false,
+      usesServerKeys: serverKeysUsed,
+      run: ({ onProgress, onToken, signal } = {}) => summarizeYouTubePlaylist(playlistId, {
+        ...options,
+        maxVideos: Number(maxVideos) || undefined,
+        onProgress,
+        onToken,
+        signal
+      })
+    };
+  }
+
+  return {
+    videoId: youtubeVideoId,
+    source: 'youtube',
+    sourceLabel: 'YouTube',
+    input: youtubeVideoId,
+    media: false,
+    usesServerKeys: serverKeysUsed,
+    run: ({ onProgress, onToken, signal } = {}) => summarizeYouTubeVideo(youtubeVideoId, {
+      ...options,
+      range,
+      onProgress,
+      onToken,
+      signal
+    })
+  };
+}
+
+/**
+ * Error message for a failed summarize request
+ */
+function summaryErrorMessage(error, request) {
+  if (request.media) {
+    return error.message || `Failed to process ${request.sourceLabel} video.`;
+  }
+  return error.status ? error.message : friendlyErrorMessage(error);
+}
+
+/**
+ * Summarize a video, playlist or media post outside of an HTTP request, for
+ * the command-line interface (bin/vidreduce.js). `body` takes the /summarize
+ * fields, and the server's keys are used. Resolves to { result, cache } like
+ * summarizeYouTubeVideo; errors have the message /summarize would respond with.
+ */
+async function summarize(body, { onProgress, signal } = {}) {
+  const request = resolveSummaryRequest({ body, query: {}, access: { serverKeys: true } });
+  try {
+    return await request.run({ onProgress, signal });
+  } catch (error) {
+    throw Object.assign(new Error(summaryErrorMessage(error, request)), { status: error.status, cause: error });
+  }
+}
+
+app.post('/summarize', limitRequests, async (req, res) => {
+  let request;
+  try {
+    request = resolveSummaryRequest(req);
+    await chargeServerKeys(req, request);
+  } catch (error) {
+    return sendError(res, error);
+  }
+
+  try {
+    const { result, cache: cacheInfo } = await request.run();
+
+    // Return success response with summary data
+    res.json(toSummaryResponse(result, cacheInfo, await publishResult(result, req.body)));
+
+  } catch (error) {
+    console.error('Error processing request:', error);
+    res.status(error.status || 500).json({
+      error: summaryErrorMessage(error, request)
     });
   }
+});
+
+// Minimum time between rendered previews of a summary that is still streaming
+const PREVIEW_INTERVAL_MS = 250;
+
+/**
+ * Streaming variant of /summarize (Server-Sent Events). Emits one event per
+ * stage (metadata, transcript, chunk, retry, failover, summarizing), the summary's tokens
+ * (token) and a rendered HTML preview of the summary so far (preview), then
+ * done with the /summarize response body, or error.
+ */
+app.post('/summarize/stream', limitRequests, async (req, res) => {
+  let request;
+  try {
+    request = resolveSummaryRequest(req);
+    await chargeServerKeys(req, request);
+  } catch (error) {
+    return sendError(res, error);
+  }
 
-  if (!finalAiProvider || !['openai', 'gemini'].includes(finalAiProvider)) {
-    return res.status(400).json({
-      error: 'Invalid AI provider. Must be "openai" or "gemini".'
+  const stream = openEventStream(res);
+  let summaryText = '';
+  let lastPreviewAt = 0;
+
+  // Work continues if the client disconnects, so the summary still gets cached
+  try {
+    const { result, cache: cacheInfo } = await request.run({
+      onProgress: (event) => {
+        if (event.stage === 'summarizing') {
+          summaryText = '';
+        }
+        stream.send(event.stage, event);
+      },
+      onToken: (token) => {
+        summaryText += token;
+        stream.send('token', { text: token });
+
+        if (Date.now() - lastPreviewAt >= PREVIEW_INTERVAL_MS) {
+          const partial = parsePartialSummary(summaryText);
+          if (partial) {
+            lastPreviewAt = Date.now();
+            stream.send('preview', { html: renderSummaryHTML(partial, { videoId: request.videoId }) });
+          }
+        }
+      }
+    });
+
+    stream.send('done', toSummaryResponse(result, cacheInfo, await publishResult(result, req.body)));
+  } catch (error) {
+    console.error('Error processing streaming request:', error);
+    stream.send('error', {
+      status: error.status || 500,
+      error: summaryErrorMessage(error, request)
     });
   }
 
+  stream.end();
+});
+
+/**
+ * Start a summary job. Takes the same body as /summarize and responds 202
+ * with the queued job straight away; poll GET /api/jobs/:id for the result.
+ */
+app.post('/api/jobs', limitRequests, async (req, res) => {
   try {
-    // First verify the video exists
-    const videoDetails = await getVideoDetails(videoId, finalYouTubeKey);
-    if (!videoDetails) {
-      return res.status(404).json({
-        error: 'Video not found or inaccessible. Please check the video ID.'
-      });
+    const request = resolveSummaryRequest(req);
+    await chargeServerKeys(req, request);
+    const job = await jobs.submit('summary', jobInput(req), { meta: { source: request.source, input: request.input } });
+    res.status(202).location(`/api/jobs/${job.id}`).json(job);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * What a job needs of the request that started it, as plain data a worker
+ * invocation can receive
+ */
+function jobInput(req, extra = {}) {
+  return { body: req.body, query: req.query, access: req.access, ...extra };
+}
+
+// A summary job started by POST /api/jobs
+jobs.define('summary', async ({ body, query, access }, { signal, onProgress }) => {
+  const request = resolveSummaryRequest({ body, query, access });
+  try {
+    const { result, cache: cacheInfo } = await request.run({ signal, onProgress });
+    return toSummaryResponse(result, cacheInfo, await publishResult(result, body));
+  } catch (error) {
+    throw httpError(error.status || 500, summaryErrorMessage(error, request));
+  }
+});
+
+/**
+ * Run a dispatched job (see dispatchJob). Answers 202 straight away and
+ * keeps the response open until the job has finished, so the platform keeps
+ * this invocation alive for it; the body is then the finished job.
+ */
+app.post('/api/jobs/:id/run', async (req, res) => {
+  if (!process.env.JOB_WORKER_SECRET) {
+    return res.status(404).json({ error: 'Not found.' });
+  }
+  if (!secretsMatch(bearerToken(req), process.env.JOB_WORKER_SECRET)) {
+    return res.status(401).json({ error: 'Invalid job worker secret.' });
+  }
+  res.status(202).type('json');
+  res.flushHeaders();
+  try {
+    res.end(JSON.stringify(await jobs.execute(req.params.id, req.body.input)));
+  } catch (error) {
+    console.error(`Job ${req.params.id} could not be run:`, error.message);
+    res.end(JSON.stringify({ error: error.message }));
+  }
+});
+
+// Job status; `result` holds the /summarize response once the job has succeeded
+app.get('/api/jobs/:id', async (req, res) => {
+  try {
+    const job = await jobs.get(req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found. It may have expired.' });
     }
+    res.json(job);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    const videoTitle = videoDetails.snippet.title;
-    console.log(`Video found: ${videoTitle}`);
+// Cancel a queued or running job
+app.delete('/api/jobs/:id', async (req, res) => {
+  try {
+    const job = await jobs.cancel(req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found. It may have expired.' });
+    }
+    res.json(job);
+  } catch (error) {
+    res.status(error.code === 'JOB_FINISHED' ? 409 : 500).json({ error: error.message });
+  }
+});
 
-    // Fetch transcript
-    const transcript = await fetchTranscript(videoId);
-    if (!transcript) {
-      return res.status(404).json({
-        error: 'No transcript could be fetched. The video may not have captions available.'
-      });
+// Batches are capped, and their URLs summarized a few at a time (the request can ask for fewer)
+const BATCH_MAX_URLS = Number(process.env.BATCH_MAX_URLS) || 50;
+const BATCH_CONCURRENCY = Number(process.env.BATCH_CONCURRENCY) || 3;
+
+/**
+ * The URLs of a batch request: a list, or text with one URL per line (or
+ * separated by commas or spaces), without blanks and repeats
+ */
+function parseBatchUrls(urls) {
+  const list = Array.isArray(urls) ? urls : String(urls || '').split(/[\s,]+/);
+  return [...new Set(list.filter(url => typeof url === 'string').map(url => url.trim()).filter(Boolean))];
+}
+
+/**
+ * Resolve one URL of a batch with the batch's settings, as /summarize
+ * resolves its body (see resolveSummaryRequest)
+ */
+function resolveBatchRequest(req, url) {
+  // Ranges come from each URL's own t=/start=/end=
+  const { videoId, playlistId, start, end, ...settings } = req.body;
+  return resolveSummaryRequest({ body: { ...settings, videoUrl: url }, query: req.query, access: req.access });
+}
+
+/**
+ * Resolve every URL of a batch. A URL that cannot be summarized becomes
+ * { url, error } and fails only its own item; errors every URL would fail
+ * on (settings, keys) are thrown, as /summarize reports them.
+ */
+function resolveBatchEntries(req, urls) {
+  resolveTemplate(req.body.style, req.body.customPrompt);
+  return urls.map((url) => {
+    try {
+      return { url, request: resolveBatchRequest(req, url) };
+    } catch (error) {
+      if (error.code !== 'INVALID_VIDEO_URL') {
+        throw error;
+      }
+      return { url, error };
     }
+  });
+}
 
-    console.log(`Transcript fetched successfully (${transcript.length} characters)`);
+/**
+ * Summarize one URL of a batch ({ url, request } resolved by
+ * resolveBatchRequest, or { url, error } for a URL that could not be).
+ * Resolves to the item's entry in the batch result; a failure is reported
+ * in the entry ({ status: 'failed', error: { status, message } }) rather than
+ * thrown, so the other URLs carry on. Each URL counts against the caller's
+ * daily quota.
+ */
+async function summarizeBatchItem(req, { url, request, error: invalid }, { signal }) {
+  if (invalid) {
+    return { url, status: 'failed', error: { status: invalid.status, message: invalid.message } };
+  }
+  try {
+    await chargeServerKeys(req, request);
+    const { result, cache: cacheInfo } = await request.run({ signal });
+    return {
+      url,
+      status: 'succeeded',
+      id: result.id,
+      source: result.source,
+      videoTitle: result.videoTitle,
+      summary: result.summaryHtml,
+      structuredSummary: result.summary,
+      provider: result.provider,
+      model: result.model,
+      usage: responseUsage(result, cacheInfo),
+      cached: !!cacheInfo.summary,
+      downloads: downloadLinks(result.id),
+      permalink: await publishResult(result, req.body),
+      cache: cacheInfo
+    };
+  } catch (error) {
+    if (signal?.aborted) {
+      throw error;
+    }
+    console.error(`Batch item ${url} failed:`, error.message);
+    return {
+      url,
+      status: 'failed',
+      error: { status: error.status || 500, message: summaryErrorMessage(error, request) }
+    };
+  }
+}
 
-    // Generate summary
-    const apiKey = aiProvider === 'openai' ? finalOpenAIKey : finalGeminiKey;
-    const summary = await summarizeTranscript(transcript, videoTitle, aiProvider, apiKey);
-    if (!summary) {
-      return res.status(500).json({
-        error: `Failed to generate summary with ${aiProvider.toUpperCase()}. Please check your API key and try again.`
-      });
+/**
+ * Start a batch job: summarize a list of URLs (YouTube videos and playlists,
+ * Twitter/X and the other sources, mixed) with the /summarize settings of
+ * the body. Body: { urls, concurrency, ...the fields of /summarize }.
+ * Responds 202 with the queued job; its progress is a batch event per URL
+ * finished, and its result lists every URL's summary or error, with the
+ * download link of a ZIP archive of them all. URLs that fail do not stop
+ * the others.
+ */
+app.post('/api/batch', limitRequests, async (req, res) => {
+  const urls = parseBatchUrls(req.body.urls);
+  const concurrency = req.body.concurrency === undefined || req.body.concurrency === '' ? BATCH_CONCURRENCY : Number(req.body.concurrency);
+  try {
+    if (urls.length === 0) {
+      throw httpError(400, 'Missing required field: urls, a list of video URLs or IDs.');
+    }
+    if (urls.length > BATCH_MAX_URLS) {
+      throw httpError(400, `A batch can have at most ${BATCH_MAX_URLS} URLs (got ${urls.length}).`);
+    }
+    if (!Number.isInteger(concurrency) || concurrency < 1) {
+      throw httpError(400, 'concurrency must be a whole number of at least 1.');
     }
+    // Settings and keys every URL would fail on are reported now
+    resolveBatchEntries(req, urls);
+  } catch (error) {
+    return sendError(res, error.status ? error : httpError(400, error.message));
+  }
+
+  const batchId = crypto.randomUUID();
+  try {
+    const job = await jobs.submit('batch', jobInput(req, { urls, concurrency, batchId }), {
+      meta: { source: 'batch', input: `${urls.length} URL${urls.length === 1 ? '' : 's'}`, batchId }
+    });
+    res.status(202).location(`/api/jobs/${job.id}`).json(job);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
 
-    // Generate HTML summary
-    const htmlContent = generateSummaryHTML(videoTitle, summary, videoId);
+// A batch started by POST /api/batch
+jobs.define('batch', async ({ body, query, access, urls, concurrency, batchId }, { signal, onProgress }) => {
+  const req = { body, query, access };
+  const entries = resolveBatchEntries(req, urls);
+  const counts = { completed: 0, succeeded: 0, failed: 0 };
+  const items = await mapWithConcurrency(entries, Math.min(concurrency, BATCH_CONCURRENCY), async (entry) => {
+    signal.throwIfAborted();
+    const item = await summarizeBatchItem(req, entry, { signal });
+    counts.completed++;
+    counts[item.status]++;
+    onProgress({ stage: 'batch', ...counts, total: urls.length, url: item.url, status: item.status });
+    return item;
+  });
 
-    console.log('Summary generated successfully');
+  // The archive is built from the cached results, so only their IDs are kept
+  await cache.set('batches', batchId, {
+    id: batchId,
+    createdAt: new Date().toISOString(),
+    items: items.map(({ url, status, id, videoTitle, error }) => ({ url, status, id, videoTitle, error }))
+  });
 
-    // Return success response with summary data
+  return {
+    success: true,
+    batchId,
+    total: urls.length,
+    succeeded: counts.succeeded,
+    failed: counts.failed,
+    usage: mergeUsage(...items.map(item => item.usage)),
+    download: `/download/batch/${batchId}`,
+    items
+  };
+});
+
+/**
+ * A finished batch as a ZIP archive: every summary and transcript, in the
+ * formats of the summary and transcript query parameters (comma-separated;
+ * md and txt by default), and batch.json listing each URL's outcome and files
+ */
+app.get('/download/batch/:batchId', async (req, res) => {
+  try {
+    const entry = await cache.get('batches', req.params.batchId);
+    if (!entry) {
+      return res.status(404).json({ error: 'Batch not found. It may still be running, or have expired.' });
+    }
+    const formatList = value => String(value).split(',').map(format => format.trim().toLowerCase()).filter(Boolean);
+    const summaryFormats = formatList(req.query.summary ?? 'md');
+    const transcriptFormats = formatList(req.query.transcript ?? 'txt');
+
+    const files = [];
+    const names = new Set();
+    const manifest = [];
+    for (const item of entry.value.items) {
+      const result = item.status === 'succeeded' ? await cache.get('results', item.id) : null;
+      if (item.status === 'succeeded' && !result) {
+        manifest.push({ ...item, status: 'expired', error: { status: 404, message: 'The summary is no longer cached. Summarize the video again.' } });
+        continue;
+      }
+
+      const exports = result
+        ? [
+          ...summaryFormats.map(format => exportSummary(result.value, format)),
+          ...transcriptFormats.map(format => exportTranscript(result.value, format))
+        ]
+        : [];
+      // URLs of the same video share their files
+      const added = exports.filter(file => !names.has(file.filename));
+      added.forEach(file => names.add(file.filename));
+      files.push(...added.map(file => ({ name: file.filename, content: file.content })));
+      manifest.push({ ...item, files: exports.map(file => file.filename) });
+    }
+
+    files.push({ name: 'batch.json', content: JSON.stringify({ id: entry.value.id, createdAt: entry.value.createdAt, items: manifest }, null, 2) });
+    sendExport(res, { filename: `batch_${entry.value.id}.zip`, contentType: 'application/zip', content: createZip(files) });
+  } catch (error) {
+    res.status(error.code === 'UNSUPPORTED_FORMAT' ? 400 : 500).json({ error: error.message });
+  }
+});
+
+// Questions about a video: earlier turns sent back as context, and input limits
+const ASK_HISTORY_TURNS = 6;
+const ASK_MAX_QUESTION_LENGTH = 2000;
+
+/**
+ * Answer a question about a YouTube video from its transcript. Body:
+ * { videoId, question, history: [{ question, answer }], outputLanguage,
+ * captionLanguages } plus the provider fields of /summarize. The transcript
+ * of an earlier summary is reused; the passages most relevant to the
+ * question are sent to the model, and the answer cites them by timestamp.
+ */
+app.post('/api/ask', limitRequests, async (req, res) => {
+  const { videoId, outputLanguage } = req.body;
+  const question = typeof req.body.question === 'string' ? req.body.question.trim() : '';
+  const history = (Array.isArray(req.body.history) ? req.body.history : [])
+    .filter(turn => typeof turn?.question === 'string' && typeof turn?.answer === 'string')
+    .slice(-ASK_HISTORY_TURNS);
+
+  let ai;
+  try {
+    if (!videoId || !question) {
+      throw httpError(400, 'Missing required fields: videoId and question are required.');
+    }
+    if (question.length > ASK_MAX_QUESTION_LENGTH) {
+      throw httpError(400, `Questions are limited to ${ASK_MAX_QUESTION_LENGTH} characters.`);
+    }
+    ai = resolveAIProvider(req.body, req.access);
+    await chargeServerKeys(req, { usesServerKeys: usesServerKeys(req.body, { ...ai, speechToText: resolveSpeechToText(req.body, req.access) }) });
+  } catch (error) {
+    return sendError(res, error);
+  }
+
+  try {
+    const meter = createUsageMeter(PRICES);
+    // Prefer the transcript of the last summary of this video
+    const stored = await cache.get('results', videoId);
+    if (stored && stored.value.source !== 'youtube') {
+      throw httpError(400, 'Questions can only be asked about YouTube videos.');
+    }
+    const { videoTitle, segments } = stored
+      ? stored.value
+      : (await loadYouTubeTranscript(videoId, {
+        youtubeKey: req.body.youtubeKey || (req.access.serverKeys ? process.env.YOUTUBE_API_KEY : undefined),
+        captionLanguages: parseLanguageList(req.body.captionLanguages),
+        speechToText: resolveSpeechToText(req.body, req.access),
+        onUsage: meter.record
+      })).transcript;
+
+    // Follow-up questions are searched together with the previous question
+    const query = [history[history.length - 1]?.question, question].filter(Boolean).join(' ');
+    const passages = retrievePassages(buildPassages(segments), query);
+    console.log(`Answering a question about ${videoId} from ${passages.length} transcript passages`);
+
+    const generate = createResilientGenerator([{ provider: ai.provider, model: ai.model, apiKey: ai.apiKey }, ...ai.fallbacks], {
+      retry: RETRY_OPTIONS
+    });
+    const prompt = buildAnswerPrompt(videoTitle, question, formatPassages(passages), {
+      history,
+      language: languageName(outputLanguage)
+    });
+    let answer;
+    try {
+      answer = await generate({ ...prompt, onUsage: meter.record });
+    } catch (error) {
+      // A truncated answer is still worth showing
+      if (error.code !== 'MAX_TOKENS' || !error.partialText) {
+        throw error;
+      }
+      answer = error.partialText;
+    }
+
+    const citations = extractCitations(answer, passages, videoId);
+    await recordUsage(meter.usage());
     res.json({
       success: true,
+      videoId,
       videoTitle,
-      summary,
-      transcript,
-      htmlContent,
-      transcriptLength: transcript.length
+      question,
+      answer,
+      answerHtml: renderAnswerHTML(answer, citations),
+      citations,
+      provider: generate.used.provider,
+      model: generate.used.model,
+      usage: meter.usage()
     });
+  } catch (error) {
+    console.error('Error answering question:', error);
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : friendlyErrorMessage(error)
+    });
+  }
+});
 
+/**
+ * Server options for summarizing subscription uploads, or null when the
+ * server has no usable AI provider configured. Subscriptions run in the
+ * background, so they only use environment variables.
+ */
+function subscriptionSummaryOptions() {
+  let ai;
+  try {
+    ai = resolveAIProvider({ aiProvider: process.env.SUBSCRIPTION_PROVIDER, model: process.env.SUBSCRIPTION_MODEL });
   } catch (error) {
-    console.error('Error processing request:', error);
-    
-    // Extract meaningful error message for the user
-    let userMessage = 'An unexpected error occurred. Please try again.';
-    
-    if (error.message) {
-      // Check for known error patterns and provide friendly messages
-      if (error.message.includes('overloaded') || error.message.includes('503')) {
-        userMessage = 'The AI model is currently overloaded. Please try again in a few moments.';
-      } else if (error.message.includes('quota') || error.message.includes('429')) {
-        userMessage = 'API rate limit reached. Please wait a moment and try again.';
-      } else if (error.message.includes('Invalid API key') || error.message.includes('401')) {
-        userMessage = 'Invalid API key. Please check your API key and try again.';
-      } else if (error.message.includes('Gemini API error') || error.message.includes('OpenAI')) {
-        // Pass through API-specific errors
-        userMessage = error.message;
-      } else {
-        // For other errors, include the actual message
-        userMessage = error.message;
-      }
+    console.error('Subscription AI provider is not usable:', error.message);
+    return null;
+  }
+  return {
+    youtubeKey: process.env.YOUTUBE_API_KEY,
+    ...ai,
+    speechToText: resolveSpeechToText({}),
+    outputLanguage: process.env.SUBSCRIPTION_LANGUAGE,
+    template: resolveTemplate(process.env.SUBSCRIPTION_STYLE)
+  };
+}
+
+// Channel subscriptions; SUBSCRIPTION_FEED_URL can point polling at a local stand-in feed
+const subscriptions = createSubscriptionService({
+  cache,
+  feedUrl: process.env.SUBSCRIPTION_FEED_URL || undefined,
+  summarize: async (videoId) => {
+    const options = subscriptionSummaryOptions();
+    if (!options) {
+      throw new Error('Subscriptions need an AI provider key set on the server.');
     }
-    
-    res.status(500).json({
-      error: userMessage
+    const { result } = await summarizeYouTubeVideo(videoId, options);
+    return result.summary;
+  }
+});
+
+app.get('/api/subscriptions', async (req, res) => {
+  try {
+    const state = await subscriptions.list();
+    res.json({
+      channels: state.channels.map(({ seenVideoIds, ownerId, ...channel }) => channel),
+      entries: state.entries.map(({ summary, ...entry }) => entry)
     });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
   }
 });
 
-// Export for Vercel serverless functions
+/**
+ * Middleware for the subscription routes, which summarize with the server's
+ * keys on everyone's behalf: only the admin (ADMIN_TOKEN) and callers with an
+ * access token get through, the latter rate limited like the AI routes
+ */
+async function requireSubscriptionAccess(req, res, next) {
+  if (isAdmin(req)) {
+    return next();
+  }
+  try {
+    const { token } = await resolveAccess(req);
+    if (!token) {
+      throw httpError(401, 'Managing subscriptions needs an access token or the admin token.');
+    }
+  } catch (error) {
+    return sendError(res, error);
+  }
+  limitRequests(req, res, next);
+}
+
+/**
+ * Count a subscription request by an access token against its daily quota;
+ * the admin's and the scheduler's are not counted
+ */
+async function chargeSubscriptionRequest(req) {
+  if (req.access?.token) {
+    await chargeServerKeys(req, { usesServerKeys: true });
+  }
+}
+
+/**
+ * Who a subscription request acts for: the ID of its access token, or null
+ * for the admin
+ */
+function subscriptionOwner(req) {
+  return isAdmin(req) ? null : req.access.token.id;
+}
+
+app.post('/api/subscriptions', requireSubscriptionAccess, async (req, res) => {
+  if (!subscriptionSummaryOptions()) {
+    return res.status(503).json({
+      error: 'Subscriptions need a usable AI provider (SUBSCRIPTION_PROVIDER or the default provider, with its key) set on the server.'
+    });
+  }
+
+  try {
+    await chargeSubscriptionRequest(req);
+  } catch (error) {
+    return sendError(res, error);
+  }
+
+  try {
+    const { seenVideoIds, ...channel } = await subscriptions.subscribe(req.body.channelId, {
+      backfill: Math.max(0, Number(req.body.backfill) || 0),
+      ownerId: subscriptionOwner(req)
+    });
+    res.status(201).json(channel);
+  } catch (error) {
+    const status = { INVALID_CHANNEL: 400, FEED_UNAVAILABLE: 404, ALREADY_SUBSCRIBED: 409 }[error.code] || 500;
+    res.status(status).json({ error: error.message });
+  }
+});
+
+// Access tokens can only remove the subscriptions they made; the admin can remove any
+app.delete('/api/subscriptions/:channelId', requireSubscriptionAccess, async (req, res) => {
+  try {
+    const removed = await subscriptions.unsubscribe(req.params.channelId, isAdmin(req) ? {} : { ownerId: subscriptionOwner(req) });
+    if (!removed) {
+      return res.status(404).json({ error: 'Not subscribed to this channel.' });
+    }
+    res.status(204).end();
+  } catch (error) {
+    res.status(error.code === 'FORBIDDEN' ? 403 : 500).json({ error: error.message });
+  }
+});
+
+/**
+ * Middleware for polling over HTTP, which needs CRON_SECRET set: schedulers
+ * such as Vercel Cron send it as Authorization: Bearer $CRON_SECRET, and
+ * the admin token and access tokens are accepted too
+ */
+function requirePollAccess(req, res, next) {
+  if (!process.env.CRON_SECRET) {
+    return res.status(404).json({ error: 'Polling over HTTP is not enabled on this server (set CRON_SECRET).' });
+  }
+  if (secretsMatch(bearerToken(req), process.env.CRON_SECRET)) {
+    return next();
+  }
+  requireSubscriptionAccess(req, res, next);
+}
+
+// Poll now. GET is accepted for schedulers.
+async function pollSubscriptions(req, res) {
+  try {
+    await chargeSubscriptionRequest(req);
+  } catch (error) {
+    return sendError(res, error);
+  }
+  try {
+    res.json(await subscriptions.poll());
+  } catch (error) {
+    console.error('Subscription poll failed:', error);
+    res.status(500).json({ error: error.message });
+  }
+}
+app.get('/api/subscriptions/poll', requirePollAccess, pollSubscriptions);
+app.post('/api/subscriptions/poll', requirePollAccess, pollSubscriptions);
+
+app.get('/subscriptions', async (req, res) => {
+  try {
+    const entries = await subscriptions.published();
+    sendSummaryPage(res, renderSummaryPage({
+      title: 'Latest from Your Subscriptions',
+      summaryHtml: renderDigestHTML(entries),
+      url: '/subscriptions/feed.atom',
+      linkLabel: 'Subscribe to the Atom feed',
+      pageTitle: 'Subscription Digest'
+    }));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/subscriptions/feed.atom', async (req, res) => {
+  try {
+    const entries = await subscriptions.published();
+    res.type('application/atom+xml').send(renderAtomFeed(entries, {
+      title: 'VidReduce Subscription Summaries',
+      siteUrl: `${siteUrl(req)}/subscriptions`,
+      feedUrl: `${siteUrl(req)}/subscriptions/feed.atom`
+    }));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/subscriptions/feed.rss', async (req, res) => {
+  try {
+    const entries = await subscriptions.published();
+    res.type('application/rss+xml').send(renderRssFeed(entries, {
+      title: 'VidReduce Subscription Summaries',
+      siteUrl: `${siteUrl(req)}/subscriptions`,
+      description: 'AI summaries of new uploads from subscribed YouTube channels'
+    }));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Export for Vercel serverless functions, and the summary pipeline for the command-line interface
 module.exports = app;
+module.exports.summarize = summarize;
 
 // Only start server if not in Vercel environment
 if (require.main === module) {
@@ -959,4 +2353,10 @@ if (require.main === module) {
     console.log(`🚀 VidReduce Web UI running at http://localhost:${PORT}`);
     console.log(`📱 Open your browser and visit the URL above to start summarizing YouTube videos!`);
   });
+
+  // Poll subscribed channels in the background (SUBSCRIPTION_POLL_MINUTES=0 disables it)
+  const pollMinutes = process.env.SUBSCRIPTION_POLL_MINUTES !== undefined ? Number(process.env.SUBSCRIPTION_POLL_MINUTES) : 30;
+  if (pollMinutes > 0) {
+    subscriptions.startPolling(pollMinutes * 60 * 1000);
+  }
 }
\ No newline at end of file